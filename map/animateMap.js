@@ -5,8 +5,17 @@ import "@arcgis/core/assets/esri/themes/light/main.css";
 
 // Animation configuration
 import { animationConfig } from "./configAnimation.js";
+import { animationConfigParams, animationConfigSchema } from "./configSchema.js";
+import { loadRuntimeOverrides, mergeConfig } from "../src/runtimeConfig.js";
+import { headerToAnimationConfig, isManifest, readManifest } from "./manifest.js";
 import { slideAnimation } from "./animateOnSlide.js";
 import { scrollAnimation } from "./animateOnScroll.js";
+import { createRenderLoop } from "./renderLoop.js";
+import { createPreviewPlayer, isPreviewMode } from "./previewPlayer.js";
+import { createAuthoringTool, isAuthoringMode } from "./authoringTool.js";
+import { createSlideControls } from "./slideControls.js";
+import { validateChoreography, formatValidationError, dropInvalidSlideKeys } from "./validateChoreography.js";
+import { MESSAGE_SOURCES, MESSAGE_TYPES, createMessage, parseMessage } from "../src/messageProtocol.js";
 
 let slides = [];
 let mapElement = null;
@@ -15,20 +24,96 @@ let timeSlider = null;
 let isEmbedded = false;
 let hashIndexLast = null;
 let hashIndex = null;
+// Sidecar this map belongs to, from the ?sidecar= URL parameter or the first message received
+let sidecarId = new URLSearchParams(window.location.search).get("sidecar");
+// Set from the runtime configuration when the animator starts, unless the host named one first
+let choreographyPath = null;
+let hostChoreography = null;
+// Compiled-in animationConfig, the runtime overrides (config file, URL parameters) and the
+// header of the loaded manifest, which are merged into animationConfig
+const defaultConfig = { ...animationConfig };
+let runtimeOverrides = {};
+let manifestHeader = null;
+// Handshake state: the map is ready once both the view and the choreography are loaded
+let mapReady = false;
+let hostWindow = null;
+let hostOrigin = null;
+let pendingProgress = null;
+// Renders the latest scroll progress once per animation frame; created once the configuration is loaded
+let renderLoop = null;
+// Standalone preview controls, when the page is opened with ?preview
+let previewPlayer = null;
+// Previous/next slide controls and live region of the standalone map, hidden once embedded
+let slideControls = null;
+// Incremented on every slide change so a slide left mid-transition does not report animationFinished
+let slideToken = 0;
+// Choreography loads run one after another, so the last one requested is the one kept
+let choreographyQueue = Promise.resolve();
 
 export async function loadChoreography(path) {
     try {
-        const response = await fetch(path);
+        // Revalidate so a reloaded choreography picks up local edits
+        const response = await fetch(path, { cache: "no-cache" });
         if (!response.ok) throw new Error(`Failed to fetch choreography: ${response.status}`);
-        slides = await response.json();
+        const { header, slides: data } = readManifest(await response.json());
+        slides = checkChoreography(data, animationConfig.strictChoreography);
+        manifestHeader = header;
         console.log("Loaded slides", slides);
         return slides;
     } catch (error) {
         console.error("Failed to load choreography:", error);
+        postToHost(MESSAGE_TYPES.choreographyError, {
+            path,
+            message: error.message,
+            validationErrors: error.validationErrors?.map(({ path, message }) => ({ path, message })),
+        });
         throw error;
     }
 }
 
+/**
+ * Runs a choreography load after the loads requested before it, whether they
+ * succeeded or not. Returns the load's own result.
+ */
+function queueChoreographyLoad(load) {
+  const run = choreographyQueue.then(load);
+  choreographyQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Merges the manifest header over the compiled-in animationConfig and the runtime
+ * overrides over both, so URL parameters and config files win over the manifest.
+ * The result is written into animationConfig for every module to read.
+ */
+function applyAnimationConfig() {
+  const defaults = { ...defaultConfig, ...headerToAnimationConfig(manifestHeader) };
+  Object.assign(animationConfig, mergeConfig(defaults, runtimeOverrides, animationConfigSchema));
+}
+
+/**
+ * Validates choreography data against the choreography schema and reports
+ * every problem with its slide index and JSON path.
+ * In strict mode any problem refuses to start the animator; otherwise the
+ * offending slide keys are dropped so the remaining choreography still plays.
+ * A choreography that is not a list of slides can never be recovered.
+ */
+export function checkChoreography(data, strict = false) {
+    const errors = validateChoreography(data);
+    if (!errors.length) return data;
+
+    errors.forEach((error) => console.error("Invalid choreography:", formatValidationError(error)));
+
+    if (strict || !Array.isArray(data)) {
+        const error = new Error(`Choreography has ${errors.length} validation error(s)`);
+        error.validationErrors = errors;
+        throw error;
+    }
+
+    console.warn("Ignoring invalid choreography keys and continuing.");
+    return dropInvalidSlideKeys(data, errors);
+}
+
 export function configureMap(animationConfig) {
     // Try to find an existing map/scene element; otherwise create one dynamically
     const container = document.getElementById("mapContainer");
@@ -75,8 +160,14 @@ export function configureMap(animationConfig) {
         if (animationConfig?.zoom) mapElement.setAttribute("zoom", animationConfig.zoom);
         if (animationConfig?.center) mapElement.setAttribute("center", animationConfig.center);
         timeSlider = document.querySelector('arcgis-time-slider');
+        // Time is set on the view, so the widget can be left out entirely
+        if (timeSlider && animationConfig?.showTimeSlider === false) {
+            (timeSlider.closest("arcgis-expand") ?? timeSlider).remove();
+            timeSlider = null;
+        }
         if (timeSlider && animationConfig?.timePlayRate !== undefined) timeSlider.setAttribute("play-rate", animationConfig.timePlayRate);
-        if (animationConfig?.disableMapNav) {
+        // Authors need to navigate the map to capture slides
+        if (animationConfig?.disableMapNav && !isAuthoringMode()) {
             // if mapView is not yet ready, these handlers will be attached later when view is available
             const attachNavHandlers = () => {
                 if (!mapView) return;
@@ -113,74 +204,292 @@ function setupHashListener() {
       return;
     }
 
-    const currentSlide = slides[hashIndex];
-    slideAnimation(currentSlide, mapView, timeSlider, isEmbedded);
+    // Slide handlers (highlights, layer lookups) need the view; the ready handler applies the hash slide
+    if (!mapView) {
+      console.log("Map view not ready yet, deferring slide", hashIndex);
+      return;
+    }
+
+    applySlide(hashIndex);
   });
 }
 
 /**
- * Listen for postMessage events from the "storymap-controller" to coordinate map animations.
- * Determines whether the map is embedded and sets up hash animation if not.
- * Triggers scroll-based animations based on slide progress and static slide updates
- * when the slide index changes.
+ * Returns the slide index named by the URL hash (ex. #3), or 0 when the hash
+ * does not name a valid slide.
  */
-function setupMessageListener() {
-  window.addEventListener("message", (event) => {
-    if (event.data.source !== "storymap-controller") return;
+function hashSlideIndex() {
+  const index = parseInt(window.location.hash.substring(1), 10);
+  return isNaN(index) || !slides[index] ? 0 : index;
+}
+
+/**
+ * Loads another choreography file requested by the story host and restarts
+ * slide tracking so the next message applies its slide in full.
+ */
+async function switchChoreography(path) {
+  choreographyPath = path;
+  try {
+    // The whole switch is queued, so a load requested meanwhile is applied after this one
+    await queueChoreographyLoad(async () => {
+      await loadChoreography(path);
+      // The configuration the map was set up with, before this choreography's header applies
+      const { itemId, itemType } = animationConfig;
+      applyAnimationConfig();
+      if (animationConfig.itemType !== itemType) {
+        console.warn(`The map cannot switch to itemType '${animationConfig.itemType}' while running; reload the page.`);
+      } else if (animationConfig.itemId !== itemId) {
+        mapElement?.setAttribute("item-id", animationConfig.itemId);
+      }
+      renderLoop?.cancel();
+      hashIndexLast = null;
+      previewPlayer?.setSlides(slides);
+      if (mapReady) postToHost(MESSAGE_TYPES.ready, { slideCount: slides.length });
+    });
+  } catch (error) {
+    console.error(`Keeping the previous choreography; failed to load '${path}':`, error);
+  }
+}
+
+/**
+ * Posts a protocol message to the story host page. Before the host has said
+ * hello, the message is offered to each allowed origin (the map's own origin by default).
+ */
+function postToHost(type, payload) {
+  if (window.parent === window) return;
+  const message = createMessage(MESSAGE_SOURCES.map, type, sidecarId, payload);
 
-    const payload = event.data.payload;
+  if (hostWindow) {
+    hostWindow.postMessage(message, hostOrigin);
+    return;
+  }
+  const allowedOrigins = animationConfig.allowedOrigins || [];
+  const targets = allowedOrigins.includes("*") ? ["*"] : [window.location.origin, ...allowedOrigins];
+  targets.forEach((origin) => window.parent.postMessage(message, origin));
+}
+
+/**
+ * Marks the map ready once both the view and the choreography are loaded and tells the host.
+ * Replays the latest progress received before that, or otherwise shows the slide
+ * named by the URL hash to display initial content.
+ */
+function markReadyIfLoaded() {
+  if (mapReady || !mapView || !slides.length) return;
+  mapReady = true;
+  postToHost(MESSAGE_TYPES.ready, { slideCount: slides.length });
 
-    if (payload.isEmbedded) {
-      // log("This story is being viewed via script embed - deferring to scroll animation.");
-      isEmbedded = true;
-    } else {
-      // log("Map is not embedded — enabling hash-based navigation.");
-      isEmbedded = false;
+  if (pendingProgress) {
+    applyProgress(pendingProgress);
+    pendingProgress = null;
+  } else {
+    applySlide(hashSlideIndex());
+  }
+}
+
+/**
+ * Moves the map to the slide at the given index and reports it to the host:
+ * slideApplied once its state is set, animationFinished once its transitions end.
+ */
+function applySlide(index) {
+  const token = ++slideToken;
+  const finished = slideAnimation(slides, index, mapView, timeSlider, isEmbedded); // using isEmbedded to mute some property changes when viewed in embed
+  postToHost(MESSAGE_TYPES.slideApplied, { slide: index });
+  slideControls?.show(index);
+  // A slide whose navigation was superseded before arriving did not finish
+  finished.then((completed) => {
+    if (completed && token === slideToken) postToHost(MESSAGE_TYPES.animationFinished, { slide: index });
+  });
+}
+
+/**
+ * Reports features the reader clicks to the host, with the attributes of the
+ * topmost feature under the pointer and the layer it belongs to.
+ */
+function setupFeatureClickEvents(view) {
+  view.on("click", async (event) => {
+    try {
+      const { results } = await view.hitTest(event);
+      const graphic = results.find((result) => result.type === "graphic" && result.graphic.layer)?.graphic;
+      if (!graphic) return;
+
+      postToHost(MESSAGE_TYPES.featureClick, {
+        layer: graphic.layer.title,
+        layerId: graphic.layer.id,
+        objectId: graphic.getObjectId?.() ?? null,
+        attributes: { ...graphic.attributes },
+        mapPoint: event.mapPoint?.toJSON() ?? null,
+      });
+    } catch (error) {
+      console.error("Failed to report feature click:", error);
     }
+  });
+}
+
+/**
+ * Takes a progress update from the story host or the preview player. Updates
+ * received before the map is ready are held and the latest is replayed on ready;
+ * after that they go through the render loop, which renders the latest one each frame.
+ */
+function receiveProgress(payload) {
+  if (!mapReady) {
+    pendingProgress = payload;
+    return;
+  }
+  renderLoop.request(payload);
+}
 
-    const currentSlide = slides[payload.slide];
-    const nextSlide = slides[payload.slide + 1];
+/**
+ * Triggers scroll-based animation for the slide and progress in a progress
+ * payload, and static slide updates when the slide index changes.
+ */
+function applyProgress({ slide, progress }) {
+  if (!slides[slide]) return;
 
-    // Scroll-based animation
-    scrollAnimation(currentSlide, nextSlide, payload.progress, mapView, timeSlider);
-    
+  const currentSlide = slides[slide];
+  const nextSlide = slides[slide + 1];
+
+  // Scroll-based animation
+  scrollAnimation(currentSlide, nextSlide, progress, mapView, timeSlider);
+
+  // Slide change detection
+  if (slide !== hashIndexLast) {
+    hashIndexLast = slide;
+    applySlide(slide);
+  }
+}
+
+/**
+ * Listen for protocol messages from the story host ("storymap-controller") to coordinate
+ * map animations. Messages from disallowed origins, other protocol versions or addressed
+ * to another sidecar are ignored.
+ * A hello marks the map as embedded (deferring to scroll animation), remembers the host
+ * to answer, loads the sidecar's choreography when the host names one and is answered
+ * with ready once the map is loaded.
+ * Progress messages are handed to receiveProgress.
+ */
+function setupMessageListener() {
+  window.addEventListener("message", (event) => {
+    const message = parseMessage(event, MESSAGE_SOURCES.host, animationConfig.allowedOrigins);
+    if (!message) return;
 
-    // Slide change detection
-    if (payload.slide !== hashIndexLast) {
-      hashIndexLast = payload.slide;
-      slideAnimation(currentSlide, mapView, timeSlider, isEmbedded); // using isEmbedded to mute some property changes when viewed in embed
+    if (message.sidecar) {
+      if (sidecarId && message.sidecar !== sidecarId) return;
+      sidecarId = message.sidecar;
     }
+
+    // Any message from the story host means the map is viewed via script embed,
+    // where the story provides the navigation
+    isEmbedded = true;
+    slideControls?.setVisible(false);
+
+    if (message.type === MESSAGE_TYPES.hello) {
+      hostWindow = event.source;
+      hostOrigin = event.origin;
+      const { choreography } = message.payload;
+      if (choreography && !choreographyPath) hostChoreography = choreography;
+      else if (choreography && choreography !== choreographyPath) switchChoreography(choreography);
+      if (mapReady) postToHost(MESSAGE_TYPES.ready, { slideCount: slides.length });
+      return;
+    }
+
+    if (message.type === MESSAGE_TYPES.progress) receiveProgress(message.payload);
+  });
+}
+
+/**
+ * Adds the preview player over the map. Its updates take the same path as the
+ * story's progress messages, and the map runs as embedded so slide changes leave
+ * the viewpoint to the scroll animation, exactly as in the story.
+ */
+function setupPreviewPlayer() {
+  isEmbedded = true;
+  previewPlayer = createPreviewPlayer(document.body, {
+    slides,
+    startSlide: hashSlideIndex(),
+    onProgress: receiveProgress,
+    onReload: () => switchChoreography(choreographyPath),
   });
 }
 
 /**
  * Initializes the map animation environment.
  *
+ * - Loads the runtime configuration: animationConfig, overridden by a config JSON
+ *   file (?config=) and the itemId, itemType, mapFit and choreography query parameters.
+ * - Loads the choreography, either a bare slide array or a story manifest whose
+ *   header sits between the compiled-in defaults and the runtime overrides.
+ *   The merged values are written back into animationConfig for every module to read.
+ *   A choreography that fails to load is reported, and the map starts without it.
  * - Configures the ArcGIS map using a predefined animation configuration.
  * - Attaches a listener for the `arcgisViewReadyChange` event:
- *    • When the map view becomes ready, stores the view reference.
- *    • Immediately triggers the first slide animation to display initial content.
+ *    • When the map view becomes ready, stores the view reference, tells the story host
+ *      and starts reporting feature clicks.
+ *    • Once the choreography is loaded too, triggers the first slide animation to display initial content.
  * - Locates the ArcGIS time slider component in the DOM for temporal control.
  * - Loads the slide choreography sequence asynchronously from a JSON file.
- * - Sets up the progress slider listener to enable scroll-based animations.
- * - Updates navigation buttons to reflect the initial slide state.
+ * - Sets up the message listener to enable scroll-based animations.
+ * - Tells the story host the map is ready once the view and choreography are loaded.
+ * - With ?preview in the URL, adds the preview player, which stands in for the story's
+ *   scroll messages so choreographies can be tested without a StoryMap.
+ * - With ?author in the URL, adds the authoring tool to capture slides from the map.
+ * - Otherwise adds keyboard-accessible previous/next slide controls, which navigate
+ *   through the URL hash and announce each slide to screen readers.
  */
 async function initMapAnimator() {
-  // Load config and choreography in sequence and rethrow on failure
+  // Load config and choreography in sequence
   try {
+    // Listen first so an early hello from the host is not missed while loading
+    setupMessageListener();
+    // A manifest given as config file is loaded as the choreography
+    runtimeOverrides = await loadRuntimeOverrides(animationConfigSchema, animationConfigParams, (data, url) =>
+      isManifest(data) ? { mapChoreography: url } : data
+    );
+    applyAnimationConfig();
+    choreographyPath = hostChoreography ?? animationConfig.mapChoreography;
+    // loadChoreography reports the failure; the map still starts, from the defaults and runtime overrides
+    await queueChoreographyLoad(() => loadChoreography(choreographyPath)).catch(() => {
+      console.warn("Starting the map without a choreography.");
+    });
+    applyAnimationConfig();
+
+    renderLoop = createRenderLoop(applyProgress, {
+      damping: animationConfig.scrollDamping,
+      logFrameTimes: animationConfig.logFrameTimes,
+    });
+
     mapElement = configureMap(animationConfig);
+    // configureMap stores the view too, so remember which view was already reported
+    let reportedView = null;
     mapElement.addEventListener("arcgisViewReadyChange", () => {
-      mapView = mapElement.view;
-      slideAnimation(slides[0], mapView, timeSlider, isEmbedded);
+      if (!mapElement.view || mapElement.view === reportedView) return;
+      reportedView = mapView = mapElement.view;
+      postToHost(MESSAGE_TYPES.viewReady, {});
+      setupFeatureClickEvents(mapView);
+      markReadyIfLoaded();
     });
     timeSlider = document.querySelector('arcgis-time-slider');
-    slides = await loadChoreography(animationConfig.mapChoreography);
     setupHashListener();
-    setupMessageListener();
+    if (isPreviewMode()) setupPreviewPlayer();
+    else if (!isEmbedded) {
+      slideControls = createSlideControls(document.body, {
+        getSlides: () => slides,
+        onNavigate: (index) => {
+          window.location.hash = String(index);
+        },
+      });
+    }
+    if (isAuthoringMode()) {
+      createAuthoringTool(document.body, {
+        slides,
+        header: manifestHeader,
+        getView: () => ({ mapView, timeSlider }),
+        fileName: choreographyPath.split("/").pop(),
+      });
+    }
+    markReadyIfLoaded();
 
   } catch (err) {
     console.error('initMapAnimator failed:', err);
-    throw err;
   }
 }
 
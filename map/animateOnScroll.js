@@ -1,7 +1,20 @@
 import Viewpoint from "@arcgis/core/Viewpoint.js";
 import Camera from "@arcgis/core/Camera.js";
+import * as rendererJsonUtils from "@arcgis/core/renderers/support/jsonUtils.js";
 
-import { animationConfig } from "./configAnimation.js";
+import { applyWindow, resolveEasing, resolveTiming } from "./easing.js";
+import { buildTrack, sampleTrack, slideTrackKeys } from "./keyframes.js";
+import { resolveLayers } from "./layers.js";
+import { applyLayerFilters } from "./layerFilters.js";
+import { flyExtent, flyPosition, flyScale, lerpAngle } from "./flightPath.js";
+import { interpolateJSON, lerp } from "./interpolate.js";
+import { navigateTo, transitionSettings } from "./navigation.js";
+import { prefersReducedMotion } from "./motion.js";
+import { resolveTimeZone, snapTime } from "./calendar.js";
+import { showTime } from "./timeControl.js";
+import { updateTrackInfo } from "./trackRenderer.js";
+import { followPath, frameRoute } from "./pathCamera.js";
+import { updateGraphics } from "./overlay.js";
 
 /**
  * Maps slide data keys to their corresponding animation handler functions,
@@ -9,21 +22,78 @@ import { animationConfig } from "./configAnimation.js";
  */
 const choreographyHandlers = {
   viewpoint: interpolateViewpoint,
+  followPath: interpolateFollowPath,
   timeSlider: interpolateTimeSlider,
+  layerOpacity: interpolateLayerOpacity,
+  layerFilter: interpolateLayerFilter,
+  layerRenderer: interpolateLayerRenderer,
+  trackRenderer: interpolateTrackRenderer,
+  graphics: interpolateGraphics,
   environment: interpolateEnvironment
 };
 
+/**
+ * Easing applied to a key when the slide's `timing` block does not define one.
+ * Keys not listed here progress linearly.
+ */
+const DEFAULT_EASING = {
+  viewpoint: "easeInOutQuad"
+};
+
+/**
+ * Keys whose handler animates through the slide's own value when nothing follows it,
+ * e.g. time running through the slide's own range. Other keys hold their last
+ * keyframe (or the next slide's value) once the reader scrolls past it.
+ */
+const OWN_RANGE_KEYS = new Set(["timeSlider"]);
+
+// Viewpoint last cut to with reduced motion, so each cut happens once
+let lastViewpointCut = null;
+// Route last framed with reduced motion, instead of following it
+let lastRouteFramed = null;
+
 /**
  * Executes animation handlers for each key (defined above) in the current slide,
  * passing shared context including progress and map state.
+ * Keys with keyframes are sampled between the surrounding pair of keyframes;
+ * each handler then receives that pair as current/next slide along with the
+ * local progress, windowed and eased according to the slide's `timing` block.
+ * Past a track's last point the handler receives that point as both ends, so the
+ * view lands on the final keyframe or the next slide's value (see OWN_RANGE_KEYS).
  * Used to animate transitions between slides during scroll events.
+ * With reduced motion the viewpoint is not flown between keyframes: the view
+ * cuts to each slide's and keyframe's viewpoint as the reader reaches it.
  */
 export function scrollAnimation(slideCurrent, slideNext, progress, mapView, timeSlider) {
-  const context = { slideCurrent, slideNext, progress, mapView, timeSlider };
-  Object.keys(slideCurrent)
+  slideTrackKeys(slideCurrent)
     .filter(key => typeof choreographyHandlers[key] === "function")
     .forEach(key => {
       try {
+        const { window, easing } = resolveTiming(slideCurrent.timing, key, DEFAULT_EASING[key]);
+        const track = buildTrack(slideCurrent, slideNext, key);
+        const sample = sampleTrack(track, applyWindow(Number(progress), window));
+        if (!sample) return;
+
+        const { from, to } = sample;
+        let { t } = sample;
+        if (key === "viewpoint" && prefersReducedMotion()) {
+          if (from.value === lastViewpointCut) return;
+          lastViewpointCut = from.value;
+          t = 0;
+        } else if (key === "viewpoint") {
+          lastViewpointCut = null;
+        }
+        const segmentEasing = from.easing ? resolveEasing(from.easing, easing) : easing;
+        const { [key]: _omitted, ...nextWithoutKey } = slideNext || {};
+        // Past the last point of a track (always the case at progress 1), the view lands on it
+        const holdsLast = !to && track.length > 1 && !OWN_RANGE_KEYS.has(key);
+        const context = {
+          slideCurrent: { ...slideCurrent, [key]: from.value },
+          slideNext: to || holdsLast ? { ...slideNext, [key]: (to ?? from).value } : nextWithoutKey,
+          progress: segmentEasing(t),
+          mapView,
+          timeSlider
+        };
         choreographyHandlers[key](context);
       } catch (error) {
         console.error(`Error processing '${key}':`, error);
@@ -34,21 +104,24 @@ export function scrollAnimation(slideCurrent, slideNext, progress, mapView, time
 /**
  * Smoothly interpolates between two slide viewpoints based on progress (0–1),
  * generating a transitional camera view with updated rotation, scale, and geometry.
- * Applies the interpolated viewpoint to the mapView with animation.
+ * Heading and rotation turn along the shortest angle. With `timing.viewpoint.path`
+ * set to "flight" the view zooms out and back in (2D) or arcs along the great
+ * circle (3D camera) instead of moving in a straight line.
+ * Applies the interpolated viewpoint to the mapView with animation, superseding
+ * the navigation still in flight from the previous update.
  */
 function interpolateViewpoint({ slideCurrent, slideNext, progress, mapView, timeSlider }) {
   // Support both 2D viewpoint interpolation and 3D camera interpolation.
-  // Use goTo for programmatic navigation and respect animationConfig.mapFit.
+  // Use goTo for programmatic navigation and respect the slide's (or animationConfig's) mapFit.
+  const { goToConfig, mapFit } = transitionSettings(slideCurrent);
 
   const currentViewpoint = slideCurrent?.viewpoint;
   const nextViewpoint = slideNext?.viewpoint;
-  const currentCamera = slideCurrent?.viewpoint.camera;
-  const nextCamera = slideNext?.viewpoint.camera;
+  const currentCamera = slideCurrent?.viewpoint?.camera;
+  const nextCamera = slideNext?.viewpoint?.camera;
 
-  const easeInOut = (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t);
-  const u = easeInOut(Math.max(0, Math.min(1, progress)));
-  // for no easing u = progress
-  const lerp = (a, b, t) => (a === undefined || b === undefined) ? (a ?? b) : a + (b - a) * t;
+  const pathTiming = slideCurrent?.timing?.viewpoint || {};
+  const isFlight = pathTiming.path === "flight";
 
   // Detect if the view is 3D (SceneView) by presence of a camera property
   const is3DView = mapView && typeof mapView.camera !== "undefined";
@@ -57,37 +130,47 @@ function interpolateViewpoint({ slideCurrent, slideNext, progress, mapView, time
   if (is3DView && (currentCamera || nextCamera)) {
     if (!currentCamera || !nextCamera) return; // require both for meaningful interpolation
 
+    const from = currentCamera.position;
+    const to = nextCamera.position;
+    const flightPosition = isFlight ? flyPosition(from, to, progress, pathTiming.arcHeight) : null;
+
     const interpolatedCamera = {
-      position: {
-        spatialReference: currentCamera.position.spatialReference || nextCamera.position.spatialReference,
-        x: lerp(currentCamera.position.x, nextCamera.position.x, u),
-        y: lerp(currentCamera.position.y, nextCamera.position.y, u),
-        z: lerp(currentCamera.position.z, nextCamera.position.z, u),
+      position: flightPosition || {
+        spatialReference: from.spatialReference || to.spatialReference,
+        x: lerp(from.x, to.x, progress),
+        y: lerp(from.y, to.y, progress),
+        z: lerp(from.z, to.z, progress),
       },
-      heading: lerp(currentCamera.heading, nextCamera.heading, u),
-      tilt: lerp(currentCamera.tilt, nextCamera.tilt, u),
+      heading: lerpAngle(currentCamera.heading, nextCamera.heading, progress),
+      tilt: lerp(currentCamera.tilt, nextCamera.tilt, progress),
     };
 
     const targetCamera = Camera.fromJSON(interpolatedCamera);
     // For slider-driven interpolation keep animations off for responsiveness
-    mapView.goTo(targetCamera, { animate: false }).catch((error) => {
+    navigateTo(mapView, targetCamera, { animate: false }).catch((error) => {
       console.error("Error setting interpolated camera:", error);
     });
     return;
   }
 
   // Otherwise handle viewpoint (2D or 3D Viewpoint)
-  if (!currentViewpoint || !nextViewpoint) return;
+  if (!currentViewpoint?.targetGeometry || !nextViewpoint?.targetGeometry) return;
+
+  const fromExtent = currentViewpoint.targetGeometry;
+  const toExtent = nextViewpoint.targetGeometry;
+  const flight = isFlight ? flyExtent(fromExtent, toExtent, progress) : null;
 
   const viewpointJSON = {
-    rotation: lerp(currentViewpoint.rotation, nextViewpoint.rotation, u),
-    scale: lerp(currentViewpoint.scale, nextViewpoint.scale, u),
-    targetGeometry: {
-      spatialReference: currentViewpoint.targetGeometry.spatialReference || nextViewpoint.targetGeometry?.spatialReference,
-      xmin: lerp(currentViewpoint.targetGeometry.xmin, nextViewpoint.targetGeometry.xmin, u),
-      ymin: lerp(currentViewpoint.targetGeometry.ymin, nextViewpoint.targetGeometry.ymin, u),
-      xmax: lerp(currentViewpoint.targetGeometry.xmax, nextViewpoint.targetGeometry.xmax, u),
-      ymax: lerp(currentViewpoint.targetGeometry.ymax, nextViewpoint.targetGeometry.ymax, u),
+    rotation: lerpAngle(currentViewpoint.rotation, nextViewpoint.rotation, progress),
+    scale: flight
+      ? flyScale(currentViewpoint.scale, nextViewpoint.scale, flight.widths, progress)
+      : lerp(currentViewpoint.scale, nextViewpoint.scale, progress),
+    targetGeometry: flight ? flight.extent : {
+      spatialReference: fromExtent.spatialReference || toExtent?.spatialReference,
+      xmin: lerp(fromExtent.xmin, toExtent.xmin, progress),
+      ymin: lerp(fromExtent.ymin, toExtent.ymin, progress),
+      xmax: lerp(fromExtent.xmax, toExtent.xmax, progress),
+      ymax: lerp(fromExtent.ymax, toExtent.ymax, progress),
     },
   };
 
@@ -97,7 +180,7 @@ function interpolateViewpoint({ slideCurrent, slideNext, progress, mapView, time
   // When not using 'scale' we still want the rotation to take effect — pass an
   // object containing the geometry as `target` and include `rotation` so `goTo`
   // can apply orientation while fitting to the geometry/extent.
-  const target = animationConfig.mapFit === "scale"
+  const target = mapFit === "scale"
     ? targetViewpoint
     : {
         target: targetViewpoint.targetGeometry,
@@ -105,58 +188,150 @@ function interpolateViewpoint({ slideCurrent, slideNext, progress, mapView, time
       };
 
   // Use goTo for continuous/slider-driven updates
-  mapView.goTo(target, animationConfig.goToConfig).catch((error) => {
+  navigateTo(mapView, target, goToConfig).catch((error) => {
     console.error("Error setting interpolated viewpoint:", error);
   });
 }
 
 /**
- * Interpolates between two slide time ranges based on progress (0–1),
- * snapping the result to the nearest time step and clamping it within bounds.
- * Updates the timeSlider's extent to reflect the interpolated time and stops playback.
+ * Moves the view along the route of the slide's followPath block, at the distance
+ * along the route given by progress (0–1); see pathCamera.js. With reduced motion
+ * the view shows the whole route once instead of following it.
+ */
+function interpolateFollowPath({ slideCurrent, slideNext, progress, mapView, timeSlider }) {
+  const route = slideCurrent.followPath;
+  if (prefersReducedMotion()) {
+    if (route === lastRouteFramed) return;
+    lastRouteFramed = route;
+    frameRoute(mapView, route).catch((error) => {
+      console.error("Error framing route:", error);
+    });
+    return;
+  }
+  lastRouteFramed = null;
+  followPath(mapView, route, progress).catch((error) => {
+    console.error("Error following route:", error);
+  });
+}
+
+/**
+ * Interpolates the time shown by the timeSlider based on progress (0–1): from this
+ * slide's start time to the next slide's (or keyframe's) start time, or through this
+ * slide's own range when the next slide sets no time. Steps of `timeSliderUnit` follow
+ * the calendar in the slide's time zone, and the time is snapped to them per `timeSnap`.
+ * The extent is cumulative from the start, or a moving `timeWindow` ending at the time,
+ * and is set on the view and the timeSlider widget, if any. Stops the widget's playback.
  */
 function interpolateTimeSlider({ slideCurrent, slideNext, progress, mapView, timeSlider }) {
   try {
-  const slideTimeData = slideCurrent.timeSlider
-  const start = new Date(slideTimeData.timeSliderStart);
-  const end = new Date(slideTimeData.timeSliderEnd);
-  const step = slideTimeData.timeSliderStep;
-  const unit = slideTimeData.timeSliderUnit;
-  const interpolate = (fromVal, toVal) => fromVal + (toVal - fromVal) * progress;
-  const interpolatedTime = interpolate(start.getTime(), end.getTime());
-  const unitToMs = {
-    milliseconds: 1,
-    seconds: 1000,
-    minutes: 60 * 1000,
-    hours: 60 * 60 * 1000,
-    days: 24 * 60 * 60 * 1000,
-    weeks: 7 * 24 * 60 * 60 * 1000,
-    months: 30 * 24 * 60 * 60 * 1000, // Approximate
-    years: 365 * 24 * 60 * 60 * 1000, // Approximate
-  };
+    const from = slideCurrent.timeSlider;
+    const to = slideNext?.timeSlider;
+    const timeZone = resolveTimeZone(from.timeZone, mapView);
+    const start = Date.parse(from.timeSliderStart);
+    const end = Date.parse(to ? to.timeSliderStart : from.timeSliderEnd);
 
-  const stepMs = step * (unitToMs[unit] || 0);
-  if (stepMs <= 0) return new Date(Math.min(interpolatedTime, end.getTime()));
+    const time = snapTime(
+      lerp(start, end, progress),
+      start,
+      from.timeSliderStep,
+      from.timeSliderUnit,
+      from.timeSnap ?? "floor",
+      timeZone
+    );
+    const clampedTime = Math.min(Math.max(time, Math.min(start, end)), Math.max(start, end));
 
-  // Snap to step
-  const offset = interpolatedTime - start.getTime();
-  const snappedOffset = Math.ceil(offset / stepMs) * stepMs;
-  const snappedTime = start.getTime() + snappedOffset;
+    // Carrying time into the next slide may leave the widget's range
+    const fullExtent = timeSlider?.fullTimeExtent;
+    if (fullExtent?.start && fullExtent?.end && (clampedTime < fullExtent.start || clampedTime > fullExtent.end)) {
+      timeSlider.fullTimeExtent = {
+        start: new Date(Math.min(fullExtent.start.getTime(), clampedTime)),
+        end: new Date(Math.max(fullExtent.end.getTime(), clampedTime)),
+      };
+    }
 
-  // Clamp to end
-  const clampedTime = Math.min(
-    Math.max(snappedTime, start.getTime()),
-    end.getTime()
-  );
-  timeSlider.timeExtent = {
-    start: null,
-    end: new Date(clampedTime),
-  };
-  timeSlider.stop();
+    showTime(mapView, timeSlider, from, clampedTime);
+    timeSlider?.stop();
   } catch (error) {
     console.error("Error setting time slider:", error);
   }
+}
 
+/**
+ * Interpolates layer opacity between the current and next slide based on progress (0–1),
+ * so layers fade in and out (or crossfade) as the reader scrolls.
+ * A layer missing from either slide keeps the opacity it has in the other.
+ * Layers are made visible while their opacity is above zero.
+ */
+function interpolateLayerOpacity({ slideCurrent, slideNext, progress, mapView, timeSlider }) {
+  const currentOpacity = slideCurrent.layerOpacity || {};
+  const nextOpacity = slideNext?.layerOpacity || {};
+  const references = new Set([...Object.keys(currentOpacity), ...Object.keys(nextOpacity)]);
+
+  references.forEach((reference) => {
+    const opacity = lerp(currentOpacity[reference], nextOpacity[reference], progress);
+    resolveLayers(mapView, reference).forEach((layer) => {
+      layer.opacity = opacity;
+      if (opacity > 0) layer.visible = true;
+    });
+  });
+}
+
+/**
+ * Steps the numeric variables of the slide's layer filters with progress (0–1),
+ * e.g. raising a "length_km >= {minLength}" threshold as the reader scrolls.
+ */
+function interpolateLayerFilter({ slideCurrent, slideNext, progress, mapView, timeSlider }) {
+  applyLayerFilters(mapView, slideCurrent.layerFilter, progress);
+}
+
+// Last renderer JSON applied to each layer, so unchanged renderers are not reassigned
+const appliedRenderers = new WeakMap();
+
+/**
+ * Interpolates the numeric parts of layer renderers between the current and
+ * next slide based on progress (0–1): visual variable stops, size ranges,
+ * color ramps, class breaks, heatmap radius and so on. Both renderers must
+ * share the same structure; non-numeric parts come from the current slide.
+ * A layer without a renderer on the next slide keeps its current renderer.
+ */
+function interpolateLayerRenderer({ slideCurrent, slideNext, progress, mapView, timeSlider }) {
+  const nextRenderers = slideNext?.layerRenderer || {};
+
+  Object.entries(slideCurrent.layerRenderer).forEach(([reference, currentRenderer]) => {
+    const nextRenderer = nextRenderers[reference];
+    const rendererJSON = nextRenderer ? interpolateJSON(currentRenderer, nextRenderer, progress) : currentRenderer;
+    const key = JSON.stringify(rendererJSON);
+
+    resolveLayers(mapView, reference).forEach((layer) => {
+      if (appliedRenderers.get(layer) === key) return;
+      layer.renderer = rendererJsonUtils.fromJSON(rendererJSON);
+      appliedRenderers.set(layer, key);
+    });
+  });
+}
+
+/**
+ * Interpolates the trackInfo of the slide's track renderer toward the next keyframe's or
+ * slide's trackInfo for the same layer, based on progress (0–1). Its numeric parts
+ * (maxDisplayObservationsPerTrack, maxDisplayDuration, renderer sizes and colors) change
+ * with scroll, so a route can draw itself as the reader scrolls.
+ */
+function interpolateTrackRenderer({ slideCurrent, slideNext, progress, mapView, timeSlider }) {
+  const current = slideCurrent.trackRenderer;
+  const next = slideNext?.trackRenderer;
+  const trackInfo = next?.trackLayerName === current.trackLayerName
+    ? interpolateJSON(current.trackInfo, next.trackInfo, progress)
+    : current.trackInfo;
+  updateTrackInfo(mapView, current, trackInfo);
+}
+
+/**
+ * Interpolates the overlay graphics of the slide toward the graphics with the same id
+ * in the next keyframe or slide, based on progress (0–1), and moves graphics placed
+ * along a route to the point at that progress.
+ */
+function interpolateGraphics({ slideCurrent, slideNext, progress, mapView, timeSlider }) {
+  updateGraphics(mapView, slideCurrent.graphics, slideNext?.graphics, progress);
 }
 
 /**
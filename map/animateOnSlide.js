@@ -1,7 +1,17 @@
 import Viewpoint from "@arcgis/core/Viewpoint.js";
 import Camera from "@arcgis/core/Camera.js";
+import Graphic from "@arcgis/core/Graphic.js";
+import * as rendererJsonUtils from "@arcgis/core/renderers/support/jsonUtils.js";
 
-import { animationConfig } from "./configAnimation.js";
+import { captureBaseline, diffSlideStates, resolveSlideStates, withWebMapState } from "./slideState.js";
+import { resolveLayer, resolveLayers } from "./layers.js";
+import { applyLayerFilters, restoreLayerFilters } from "./layerFilters.js";
+import { navigateTo, transitionSettings } from "./navigation.js";
+import { prefersReducedMotion } from "./motion.js";
+import { applyLayerTime, restoreTime, showTime } from "./timeControl.js";
+import { applyTrackRenderer, restoreTrackRenderers } from "./trackRenderer.js";
+import { followPath } from "./pathCamera.js";
+import { keepGraphics, showGraphics } from "./overlay.js";
 
 /**
  * Maps slide data keys to their corresponding animation handler functions,
@@ -9,22 +19,76 @@ import { animationConfig } from "./configAnimation.js";
  */
 const choreographyHandlers = {
   viewpoint: toggleViewpoint,
+  followPath: toggleFollowPath,
   timeSlider: toggleTimeSlider,
   layerVisibility: toggleLayerVisibility,
+  layerOpacity: toggleLayerOpacity,
+  layerTime: toggleLayerTime,
+  layerFilter: toggleLayerFilter,
+  featureHighlight: toggleFeatureHighlight,
+  layerRenderer: toggleLayerRenderer,
   trackRenderer: toggleTrackRenderer,
+  graphics: toggleGraphics,
   environment: toggleEnvironment
 };
 
 /**
- * Executes animation handlers for each key in slideData using shared context.
+ * Maps slide data keys to handlers that undo the previous slide's effects.
+ * Unlike choreographyHandlers these run on every slide change, whether or not
+ * the new slide defines the key, and before any choreography handler.
+ */
+const resetHandlers = {
+  layerFilter: resetLayerFilter,
+  featureHighlight: resetFeatureHighlight,
+  trackRenderer: resetTrackRenderer,
+  graphics: resetGraphics
+};
+
+// Highlight handles, label graphics and popup opened by the current slide's featureHighlight
+let highlightState = { generation: 0, handles: [], labels: [], popupOpen: false };
+
+// Resolved states by slides list ({ mapView, states, hasBaseline }), so the animator's
+// choreography and the authoring tool's slides each resolve once against the web map
+const resolvedStates = new WeakMap();
+// The state last applied to each view, whichever slides list it came from
+const appliedStates = new WeakMap();
+
+/**
+ * Moves the map to the resolved state of slides[slideIndex], in which each
+ * slide inherits everything earlier slides set, and applies only what differs
+ * from the state last applied. Jumping to any slide therefore gives the same
+ * result as reading the story from the top.
+ * Executes animation handlers for each key of that difference using shared context.
  * Skips keys listed in NON_EMBED_EXCLUDE_KEYS when in embedded mode.
  * Logs each triggered animation and catches any handler errors.
+ * Returns a promise that settles once the animations the handlers started
+ * (viewpoint transitions, highlight queries, track renderers) have finished,
+ * resolving to false when a navigation was superseded before the view arrived
+ * (e.g. by a scroll update), and to true otherwise.
  */
-const NON_EMBED_EXCLUDE_KEYS = new Set(["viewpoint"]);
+const NON_EMBED_EXCLUDE_KEYS = new Set(["viewpoint", "followPath"]);
 
-export function slideAnimation(slideData, mapView, timeSlider, embedded) {
-  const context = { slideData, mapView, timeSlider, embedded };
+export function slideAnimation(slides, slideIndex, mapView, timeSlider, embedded) {
+  const appliedState = appliedStates.get(mapView) ?? null;
+  const resolvedState = resolveSlideState(slides, slideIndex, mapView, timeSlider);
+  if (!resolvedState) return Promise.resolve(true);
+
+  const slideState = withWebMapState(mapView, appliedState, resolvedState);
+  const slideData = diffSlideStates(appliedState, slideState);
+  if (mapView) appliedStates.set(mapView, slideState);
+  const context = { slideData, slideState, mapView, timeSlider, embedded };
+
+  // Reset handlers see the full target state, so effects the new slide keeps are not undone
+  Object.entries(resetHandlers).forEach(([key, handler]) => {
+    try {
+      handler({ ...context, slideData: slideState });
+    } catch (error) {
+      console.error(`Error resetting '${key}':`, error);
+    }
+  });
 
+  // Handlers that animate return a promise of the animation's end
+  const pending = [];
   Object.entries(slideData).forEach(([key, value]) => {
     const handler = choreographyHandlers[key];
     if (!handler) return;
@@ -33,18 +97,43 @@ export function slideAnimation(slideData, mapView, timeSlider, embedded) {
     if (embedded && NON_EMBED_EXCLUDE_KEYS.has(key)) return;
 
     try {
-      handler(context);
+      pending.push(handler(context));
     } catch (error) {
       console.error(`Error processing '${key}':`, error);
     }
   });
+
+  // Navigation handlers resolve to false when superseded; failed animations still count as ended
+  return Promise.allSettled(pending).then((results) =>
+    results.every((result) => result.status === "rejected" || result.value !== false)
+  );
 }
 
 /**
- * Sets the map view to the viewpoint defined in slideData,
- * animating the transition over 1 second. Logs errors if the transition fails.
+ * Returns the resolved state of one slide, resolving the slides the first time
+ * they are shown on a view, or again once the web map baseline becomes available.
  */
-function toggleViewpoint({ slideData, mapView, timeSlider, embedded }) {
+function resolveSlideState(slides, slideIndex, mapView, timeSlider) {
+  const canCaptureBaseline = Boolean(mapView?.map);
+  let resolved = resolvedStates.get(slides);
+  if (!resolved || resolved.mapView !== mapView || (!resolved.hasBaseline && canCaptureBaseline)) {
+    resolved = {
+      mapView,
+      states: resolveSlideStates(slides, captureBaseline(mapView, slides, timeSlider)),
+      hasBaseline: canCaptureBaseline,
+    };
+    resolvedStates.set(slides, resolved);
+  }
+  return resolved.states[slideIndex];
+}
+
+/**
+ * Sets the map view to the viewpoint defined in slideData, animating the
+ * transition with the slide's goToConfig and mapFit (or the animationConfig
+ * defaults). Logs errors if the transition fails.
+ */
+function toggleViewpoint({ slideData, slideState, mapView, timeSlider, embedded }) {
+  const { goToConfig, mapFit } = transitionSettings(slideState);
   // Prefer camera when running in a 3D SceneView and camera data is available.
   const viewpointData = slideData.viewpoint;
   const cameraData = slideData.viewpoint.camera || viewpointData?.camera;
@@ -52,10 +141,9 @@ function toggleViewpoint({ slideData, mapView, timeSlider, embedded }) {
   if (cameraData) {
     try {
       const targetCamera = Camera.fromJSON(cameraData);
-      mapView.goTo(targetCamera, animationConfig.goToConfig).catch((error) => {
+      return navigateTo(mapView, targetCamera, goToConfig).catch((error) => {
           console.error("Error setting camera from viewpoint data:", error);
         });
-      return;
     } catch (error) {
       console.error("Failed to construct Camera from slide data:", error);
       // fall through to viewpoint handling
@@ -66,11 +154,10 @@ function toggleViewpoint({ slideData, mapView, timeSlider, embedded }) {
   if (viewpointData) {
     try {
       const targetViewpoint = Viewpoint.fromJSON(viewpointData);
-      const target = animationConfig.mapFit === "scale" ? targetViewpoint : targetViewpoint.targetGeometry;
-      mapView.goTo(target, animationConfig.goToConfig).catch((error) => {
+      const target = mapFit === "scale" ? targetViewpoint : targetViewpoint.targetGeometry;
+      return navigateTo(mapView, target, goToConfig).catch((error) => {
           console.error("Error setting viewpoint:", error);
         });
-      return;
     } catch (error) {
       console.error("Failed to construct Viewpoint from slide data:", error);
     }
@@ -78,46 +165,59 @@ function toggleViewpoint({ slideData, mapView, timeSlider, embedded }) {
 }
 
 /**
- * Update the timeSlider using configuration from choreographyData.
- * Sets the full time extent, interval stops, and starting frame.
- * Automatically starts playback if the slider is ready and not in embedded mode.
+ * Moves the view to the start of the slide's followPath route, animating the
+ * transition with the slide's goToConfig. Scrolling then moves the view along
+ * the route (see interpolateFollowPath in animateOnScroll.js).
+ */
+function toggleFollowPath({ slideData, slideState, mapView, timeSlider, embedded }) {
+  const { goToConfig } = transitionSettings(slideState);
+  return followPath(mapView, slideData.followPath, 0, goToConfig).catch((error) => {
+    console.error("Error moving to route start:", error);
+  });
+}
+
+/**
+ * Update the map's time using configuration from choreographyData.
+ * Sets the view's time extent to the starting frame, with a moving window ending
+ * at the start when the slide sets a `timeWindow`. When the time slider widget is
+ * on the page, also sets its full time extent and interval stops, and automatically
+ * starts playback if the slider is ready and not in embedded mode.
  */
 function toggleTimeSlider({ slideData, mapView, timeSlider, embedded }) {
-  if (
-    timeSlider &&
-    slideData.timeSlider &&
-    slideData.timeSlider.timeSliderStart &&
-    slideData.timeSlider.timeSliderEnd
-  ) {
-    const timeStart = slideData.timeSlider.timeSliderStart;
-    const timeEnd = slideData.timeSlider.timeSliderEnd;
-    const timeUnit = slideData.timeSlider.timeSliderUnit;
-    const timeStep = slideData.timeSlider.timeSliderStep;
-    const startFrame = new Date(timeStart);
-    const endFrame = new Date(timeEnd);
-
-    // Configure time extent
+  const timeBlock = slideData.timeSlider;
+  // Slides before the first one setting a time restore the view's own time
+  if (timeBlock?.baseline) {
+    restoreTime(mapView, timeSlider, timeBlock.baseline);
+    return;
+  }
+  if (!timeBlock?.timeSliderStart || !timeBlock?.timeSliderEnd) {
+    console.log("No timeSlider configuration found in choreography.");
+    return;
+  }
+  const startFrame = new Date(timeBlock.timeSliderStart);
+  const endFrame = new Date(timeBlock.timeSliderEnd);
+
+  if (timeSlider) {
+    // Configure the widget's time extent: cumulative from the start, or a moving window
     timeSlider.fullTimeExtent = { start: startFrame, end: endFrame };
-    timeSlider.timeExtent = { start: null, end: startFrame };
+    timeSlider.mode = timeBlock.timeWindow ? "time-window" : "cumulative-from-start";
 
     // Set the time slider interval based on choreography
     timeSlider.stops = {
       interval: {
-        value: timeStep,
-        unit: timeUnit,
+        value: timeBlock.timeSliderStep,
+        unit: timeBlock.timeSliderUnit,
       },
     };
+  }
+  showTime(mapView, timeSlider, timeBlock, startFrame.getTime());
 
-    // Start the time slider if not already playing and if outside script embed story
-    if (timeSlider.state === "ready" && !embedded) {
-      timeSlider.play();
-    } else if (timeSlider.state === "ready" && embedded) {
-      timeSlider.stop();
-    } else if (!timeSlider) {
-      console.log("No timeSlider component found.");
-    } else {
-      console.log("No timeSlider configuration found in choreography.");
-    }
+  // Start the time slider if not already playing and if outside script embed story,
+  // unless the reader prefers reduced motion
+  if (timeSlider?.state === "ready" && !embedded && !prefersReducedMotion()) {
+    timeSlider.play();
+  } else if (timeSlider?.state === "ready") {
+    timeSlider.stop();
   }
 }
 
@@ -181,17 +281,16 @@ function toggleEnvironment({slideData, mapView, timeSlider, embedded }) {
 /**
  * Updates map layer visibility based on slideData configuration.
  * Turns on layers listed in layersOn and turns off layers listed in layersOff
- * by matching layer titles in the mapView.
+ * by matching layer titles or ids in the mapView, including nested layers and sublayers.
  */
 function toggleLayerVisibility({ slideData, mapView, timeSlider, embedded }) {
-  const mapLayers = mapView.map.layers;
   function setLayerVisibility(layerNames, visibility) {
     if (layerNames && layerNames.length > 0) {
-      mapLayers.forEach((mapLayer) => {
-        if (layerNames.includes(mapLayer.title)) {
+      layerNames.forEach((layerName) => {
+        resolveLayers(mapView, layerName).forEach((mapLayer) => {
           mapLayer.visible = visibility; // Set visibility based on the argument
           console.log(`Layer '${mapLayer.title}' visibility set to ${visibility}`);
-        }
+        });
       });
     }
   }
@@ -203,57 +302,167 @@ function toggleLayerVisibility({ slideData, mapView, timeSlider, embedded }) {
 }
 
 /**
- * Reconfigures and reapplies a track renderer to its corresponding map layer
- * using parameters from slideData and timeSlider. Performs a hard reset by
- * removing and re-adding the layer, then updates its timeInfo and trackInfo.
- * Ensures the layer is visible.
+ * Sets layer opacity based on slideData configuration.
+ * layerOpacity maps layer titles or ids to an opacity between 0 and 1;
+ * layers given a non-zero opacity are also made visible.
+ */
+function toggleLayerOpacity({ slideData, mapView, timeSlider, embedded }) {
+  Object.entries(slideData.layerOpacity).forEach(([reference, opacity]) => {
+    resolveLayers(mapView, reference).forEach((layer) => {
+      layer.opacity = opacity;
+      if (opacity > 0) layer.visible = true;
+      console.log(`Layer '${layer.title}' opacity set to ${opacity}`);
+    });
+  });
+}
+
+/**
+ * Applies the time settings in slideData.layerTime, keyed by layer title or id,
+ * so layers can show a different time than the view (see timeControl.js).
+ */
+function toggleLayerTime({ slideData, mapView, timeSlider, embedded }) {
+  Object.entries(slideData.layerTime).forEach(([reference, settings]) => {
+    resolveLayers(mapView, reference).forEach((layer) => {
+      applyLayerTime(layer, settings);
+      console.log(`Layer '${layer.title}' time set to`, settings);
+    });
+  });
+}
+
+/**
+ * Applies the definition expressions and feature-effect filters in slideData.layerFilter
+ * to their layers, using the starting value of any scroll-driven variables.
+ */
+function toggleLayerFilter({ slideData, mapView, timeSlider, embedded }) {
+  applyLayerFilters(mapView, slideData.layerFilter, 0);
+}
+
+/**
+ * Restores the original filters of layers filtered by a previous slide
+ * that the new slide does not filter again.
+ */
+function resetLayerFilter({ slideData, mapView, timeSlider, embedded }) {
+  restoreLayerFilters(mapView, slideData.layerFilter);
+}
+
+/**
+ * Highlights the features selected by slideData.featureHighlight, given as one
+ * entry or a list of entries of { layer, where, objectIds, popup, label }.
+ * Features are queried from the layer and highlighted through its layer view;
+ * `popup` opens the popup for the first feature and `label` places a text
+ * label on it. Results from a slide that has since been left are discarded.
  */
-function toggleTrackRenderer({ slideData, mapView, timeSlider, embedded }) {
-  const mapLayers = mapView.map.layers;
-  const trackTimeConfig = slideData.timeSlider;
-  async function applyTrackRenderer(trackRenderer, timeSlider) {
+function toggleFeatureHighlight({ slideData, mapView, timeSlider, embedded }) {
+  const generation = highlightState.generation;
+  const entries = [].concat(slideData.featureHighlight);
+
+  return Promise.all(entries.map(async (entry) => {
     try {
-      const trackLayerField = trackRenderer.trackFieldName;
-      const trackTimeSliderUnit = timeSlider.timeSliderUnit;
-      const trackTimeSliderStep = timeSlider.timeSliderStep;
-      let trackLayer = mapLayers.find(
-        (layer) => layer.title === trackRenderer.trackLayerName
-      );
-
-      if (trackLayer) {
-        const layerIndex = mapView.map.layers.indexOf(trackLayer);
-
-        try {
-          mapView.map.remove(trackLayer);
-        } catch (error) {
-          console.error("Failed to remove track layer:", error);
-        }
-
-        trackLayer = trackLayer.clone();
-
-        try {
-          mapView.map.add(trackLayer, layerIndex);
-        } catch (error) {
-          console.error("Failed to add track layer:", error);
-        }
-        console.log("Applying track renderer:", trackRenderer.trackLayerName);
-        await trackLayer.when(); // Wait for the layer to load
-        const trackStartField = trackLayer.timeInfo.startField;
-        trackLayer.visible = true; // Make the layer visible
-        trackLayer.timeInfo = {
-          startField: trackStartField,
-          trackIdField: trackLayerField,
-          interval: {
-            unit: trackTimeSliderUnit,
-            value: trackTimeSliderStep,
+      const layer = resolveLayer(mapView, entry.layer);
+      if (!layer) return;
+
+      const layerView = await mapView.whenLayerView(layer);
+      const query = layer.createQuery();
+      if (entry.where) query.where = entry.where;
+      if (entry.objectIds) query.objectIds = entry.objectIds;
+      query.returnGeometry = true;
+      query.outFields = ["*"];
+      const { features } = await layer.queryFeatures(query);
+
+      if (generation !== highlightState.generation) return; // slide changed while querying
+      if (!features.length) {
+        console.warn(`No features in '${entry.layer}' match the highlight query.`);
+        return;
+      }
+
+      highlightState.handles.push(layerView.highlight(features));
+      console.log(`Highlighted ${features.length} feature(s) in '${layer.title}'`);
+
+      const [feature] = features;
+      const location = feature.geometry?.type === "point" ? feature.geometry : feature.geometry?.extent?.center;
+
+      if (entry.popup) {
+        mapView.openPopup({ features: [feature], location });
+        highlightState.popupOpen = true;
+      }
+
+      if (entry.label && location) {
+        const label = new Graphic({
+          geometry: location,
+          symbol: {
+            type: "text",
+            text: entry.label,
+            color: "white",
+            haloColor: "black",
+            haloSize: 1.5,
+            yoffset: 12,
+            font: { size: 12, weight: "bold" },
           },
-        };
-        // Apply renderer from choreography data
-        trackLayer.trackInfo = trackRenderer.trackInfo;
+        });
+        mapView.graphics.add(label);
+        highlightState.labels.push(label);
       }
     } catch (error) {
-      console.error("Failed to set track Renderer:", error);
+      console.error("Failed to highlight features:", error);
     }
-  }
-  applyTrackRenderer(slideData.trackRenderer, trackTimeConfig);
-}
\ No newline at end of file
+  }));
+}
+
+/**
+ * Removes the highlights and labels of the previous slide and closes the popup
+ * it opened. Pending highlight queries from that slide are discarded.
+ */
+function resetFeatureHighlight({ slideData, mapView, timeSlider, embedded }) {
+  highlightState.handles.forEach((handle) => handle.remove());
+  if (highlightState.labels.length) mapView?.graphics.removeMany(highlightState.labels);
+  if (highlightState.popupOpen) mapView?.closePopup();
+  highlightState = { generation: highlightState.generation + 1, handles: [], labels: [], popupOpen: false };
+}
+
+/**
+ * Swaps the renderer of each layer in slideData.layerRenderer, keyed by layer
+ * title or id, for the renderer defined in web map JSON. The renderer is
+ * assigned in place, so the layer is neither removed nor reloaded.
+ */
+function toggleLayerRenderer({ slideData, mapView, timeSlider, embedded }) {
+  Object.entries(slideData.layerRenderer).forEach(([reference, rendererJSON]) => {
+    resolveLayers(mapView, reference).forEach((layer) => {
+      layer.renderer = rendererJsonUtils.fromJSON(rendererJSON);
+      console.log(`Layer '${layer.title}' renderer set to ${rendererJSON.type}`);
+    });
+  });
+}
+
+/**
+ * Applies the track renderer in slideData.trackRenderer to its layer in place,
+ * stepping by the slide's timeSlider interval when the renderer sets none.
+ * Ensures the layer is visible.
+ */
+function toggleTrackRenderer({ slideData, slideState, mapView, timeSlider, embedded }) {
+  return applyTrackRenderer(mapView, slideData.trackRenderer, slideState.timeSlider).catch((error) => {
+    console.error("Failed to set track Renderer:", error);
+  });
+}
+
+/**
+ * Restores the original track settings of layers given a track renderer by a
+ * previous slide that the new slide does not set again.
+ */
+function resetTrackRenderer({ slideData, mapView, timeSlider, embedded }) {
+  restoreTrackRenderers(mapView, slideData.trackRenderer);
+}
+
+/**
+ * Shows the graphics in slideData.graphics on the story graphics overlay,
+ * updating graphics the previous slide already showed (see overlay.js).
+ */
+function toggleGraphics({ slideData, mapView, timeSlider, embedded }) {
+  showGraphics(mapView, slideData.graphics);
+}
+
+/**
+ * Removes the overlay graphics of the previous slide that the new slide does not show.
+ */
+function resetGraphics({ slideData, mapView, timeSlider, embedded }) {
+  keepGraphics(slideData.graphics);
+}
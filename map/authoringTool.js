@@ -0,0 +1,256 @@
+// Choreography authoring tool.
+// Opening the map page with ?author adds a panel to build a choreography on the
+// map itself: navigate, set layers, time and environment, then capture the view
+// as a slide. Slides can be reordered, deleted and previewed, and the result
+// exported as choreography JSON. Captured slides use the same keys the slide
+// handlers read, so they play back through slideAnimation unchanged.
+
+import { slideAnimation } from "./animateOnSlide.js";
+import { validateChoreography, formatValidationError } from "./validateChoreography.js";
+import { element } from "./dom.js";
+import { captureEnvironment } from "./environment.js";
+import { resolveTimeZone, unitsBetween } from "./calendar.js";
+
+/**
+ * Returns true when the map page was opened with the `author` query parameter.
+ */
+export function isAuthoringMode() {
+  return new URLSearchParams(window.location.search).has("author");
+}
+
+/**
+ * Captures the current state of the view as a slide:
+ * - `viewpoint`: the visible extent with scale and rotation, plus the camera in a 3D view;
+ * - `layerVisibility` and `layerOpacity` of every operational layer shown in the layer list,
+ *   including layers in groups;
+ * - `timeSlider`: the time slider's full time extent, interval and time window, or the view's
+ *   time extent;
+ * - `environment`: lighting and weather, in a 3D view.
+ */
+export function captureSlide(mapView, timeSlider) {
+  const slide = { viewpoint: captureViewpoint(mapView) };
+
+  const layers = operationalLayers(mapView.map);
+  const references = layerReferences(mapView.map, layers);
+  slide.layerVisibility = {
+    layersOn: layers.filter((layer) => layer.visible).map((layer) => references.get(layer)),
+    layersOff: layers.filter((layer) => !layer.visible).map((layer) => references.get(layer)),
+  };
+  slide.layerOpacity = Object.fromEntries(layers.map((layer) => [references.get(layer), round(layer.opacity, 2)]));
+
+  const timeSliderState = captureTimeSlider(timeSlider, mapView);
+  if (timeSliderState) slide.timeSlider = timeSliderState;
+
+  const environment = captureEnvironment(mapView);
+  if (environment) slide.environment = environment;
+
+  return slide;
+}
+
+/**
+ * Builds the authoring panel over the map, starting from the loaded choreography.
+ * `getView` returns the current { mapView, timeSlider }, which may not be ready yet
+ * when the panel is built. `fileName` names the exported file. With the `header` of
+ * a story manifest, the export is that manifest with the authored slides.
+ */
+export function createAuthoringTool(parent, { slides, header = null, getView, fileName = "mapChoreography.json" }) {
+  // Every edit replaces the array, so slideAnimation re-resolves the slide states
+  let authoredSlides = slides.map((slide) => structuredClone(slide));
+  let selected = null;
+
+  const root = element("div", "authoring-tool");
+  const heading = element("h2", null, "Choreography");
+  const slideList = element("ol", "authoring-slides");
+  const actions = element("div", "authoring-actions");
+  const captureButton = element("button", null, "Capture slide");
+  const downloadButton = element("button", null, "Download JSON");
+  const copyButton = element("button", null, "Copy JSON");
+  const status = element("p", "authoring-status");
+  status.setAttribute("role", "status");
+
+  actions.append(captureButton, downloadButton, copyButton);
+  root.append(heading, actions, slideList, status);
+  parent.appendChild(root);
+
+  captureButton.addEventListener("click", () => {
+    const { mapView, timeSlider } = getView();
+    if (!mapView) {
+      setStatus("The map view is not ready yet.");
+      return;
+    }
+    // Insert after the selected slide, or append
+    const index = selected === null ? authoredSlides.length : selected + 1;
+    update(insertAt(authoredSlides, index, captureSlide(mapView, timeSlider)), index);
+    setStatus(`Captured slide ${index}.`);
+  });
+
+  downloadButton.addEventListener("click", () => {
+    const json = exportJSON();
+    if (!json) return;
+    const link = element("a");
+    link.href = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+    link.download = fileName;
+    link.click();
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  });
+
+  copyButton.addEventListener("click", async () => {
+    const json = exportJSON();
+    if (!json) return;
+    try {
+      await navigator.clipboard.writeText(json);
+      setStatus("Choreography copied to the clipboard.");
+    } catch (error) {
+      console.error("Failed to copy choreography:", error);
+      setStatus("Copying failed; use Download instead.");
+    }
+  });
+
+  // Serializes the slides, reporting validation problems without blocking the export
+  function exportJSON() {
+    if (!authoredSlides.length) {
+      setStatus("Capture a slide first.");
+      return null;
+    }
+    const errors = validateChoreography(authoredSlides);
+    errors.forEach((error) => console.warn("Exported choreography:", formatValidationError(error)));
+    setStatus(errors.length
+      ? `Exported with ${errors.length} validation problem(s); see the console.`
+      : `Exported ${authoredSlides.length} slide(s).`);
+    return JSON.stringify(header ? { ...header, slides: authoredSlides } : authoredSlides, null, 2);
+  }
+
+  function preview(index) {
+    const { mapView, timeSlider } = getView();
+    if (!mapView) return;
+    selected = index;
+    render();
+    slideAnimation(authoredSlides, index, mapView, timeSlider, false);
+  }
+
+  function update(nextSlides, nextSelected) {
+    authoredSlides = nextSlides;
+    selected = nextSelected;
+    render();
+  }
+
+  function render() {
+    slideList.replaceChildren(
+      ...authoredSlides.map((slide, index) => {
+        const item = element("li", index === selected ? "selected" : null);
+        const label = element("button", "authoring-slide-label", `Slide ${index}`);
+        label.title = Object.keys(slide).join(", ");
+        label.addEventListener("click", () => preview(index));
+
+        const up = iconButton("↑", `Move slide ${index} up`, index === 0, () => update(move(authoredSlides, index, -1), index - 1));
+        const down = iconButton("↓", `Move slide ${index} down`, index === authoredSlides.length - 1, () =>
+          update(move(authoredSlides, index, 1), index + 1)
+        );
+        const remove = iconButton("✕", `Delete slide ${index}`, false, () => {
+          update(authoredSlides.filter((_, i) => i !== index), null);
+          setStatus(`Deleted slide ${index}.`);
+        });
+
+        item.append(label, up, down, remove);
+        return item;
+      })
+    );
+  }
+
+  function setStatus(message) {
+    status.textContent = message;
+  }
+
+  render();
+  return { getSlides: () => authoredSlides };
+}
+
+// --- Capture helpers ---
+
+function captureViewpoint(mapView) {
+  const viewpoint = {
+    rotation: round(mapView.rotation ?? 0, 2),
+    scale: round(mapView.scale, 0),
+    targetGeometry: mapView.extent.toJSON(),
+  };
+  // The slide and scroll handlers prefer the camera in a 3D view
+  if (mapView.type === "3d" && mapView.camera) {
+    const { position, heading, tilt, fov } = mapView.camera.toJSON();
+    viewpoint.camera = { position, heading, tilt, fov };
+  }
+  return viewpoint;
+}
+
+// Reads the time range from the widget's full time extent when there is a widget, and
+// from the view's time extent otherwise. A widget showing a moving window also gives
+// the window's length, in the unit of its stops.
+function captureTimeSlider(timeSlider, mapView) {
+  const { start, end } = (timeSlider ? timeSlider.fullTimeExtent : mapView.timeExtent) ?? {};
+  if (!start || !end) return null;
+
+  const state = { timeSliderStart: start.toISOString(), timeSliderEnd: end.toISOString() };
+  const interval = timeSlider?.stops?.interval;
+  if (interval?.value > 0 && interval.unit) {
+    state.timeSliderUnit = interval.unit;
+    state.timeSliderStep = interval.value;
+  }
+
+  const extent = timeSlider?.timeExtent;
+  if (timeSlider?.mode === "time-window" && extent?.start && extent?.end && state.timeSliderUnit) {
+    const timeZone = resolveTimeZone(undefined, mapView);
+    const length = round(unitsBetween(extent.start.getTime(), extent.end.getTime(), state.timeSliderUnit, timeZone), 3);
+    if (length > 0) state.timeWindow = { value: length, unit: state.timeSliderUnit };
+  }
+  return state;
+}
+
+// Operational layers in drawing order, with the layers inside group layers. Layers hidden
+// from the layer list, like the story graphics overlay, are not part of the choreography.
+function operationalLayers(map) {
+  const layers = [];
+  const walk = (collection) => collection?.forEach((layer) => {
+    if (layer.listMode === "hide") return;
+    layers.push(layer);
+    if (layer.listMode !== "hide-children") walk(layer.layers);
+  });
+  walk(map?.layers);
+  return layers;
+}
+
+// References layers by title when the title matches no other layer or sublayer that
+// resolveLayers searches (by title or id), and by id otherwise
+function layerReferences(map, layers) {
+  const matchCounts = new Map();
+  const count = (...keys) => new Set(keys).forEach((key) => matchCounts.set(key, (matchCounts.get(key) || 0) + 1));
+  map.allLayers.forEach((layer) => {
+    count(layer.title, layer.id);
+    layer.allSublayers?.forEach((sublayer) => count(sublayer.title, `${layer.id}/${sublayer.id}`));
+  });
+  return new Map(layers.map((layer) => [layer, layer.title && matchCounts.get(layer.title) === 1 ? layer.title : layer.id]));
+}
+
+// --- Helpers ---
+
+function iconButton(text, label, disabled, onClick) {
+  const button = element("button", "authoring-icon", text);
+  button.setAttribute("aria-label", label);
+  button.disabled = disabled;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+function insertAt(list, index, item) {
+  return [...list.slice(0, index), item, ...list.slice(index)];
+}
+
+function move(list, index, offset) {
+  const next = [...list];
+  [next[index], next[index + offset]] = [next[index + offset], next[index]];
+  return next;
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,150 @@
+// Calendar-aware time arithmetic for the time slider handlers.
+// Months, years, decades and centuries are stepped on the calendar (Jan 31 + 1 month
+// is Feb 28/29), and days and weeks keep the wall-clock time across daylight saving
+// changes, in the time zone of the slide or the view. Shorter units are fixed durations.
+// Times are passed around as epoch milliseconds.
+
+const FIXED_UNIT_MS = {
+  milliseconds: 1,
+  seconds: 1000,
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+};
+const DAY_UNITS = { days: 1, weeks: 7 };
+const MONTH_UNITS = { months: 1, years: 12, decades: 120, centuries: 1200 };
+
+// Rough unit lengths, only used to estimate how many units lie between two times
+const APPROX_UNIT_MS = {
+  ...FIXED_UNIT_MS,
+  days: 864e5,
+  weeks: 7 * 864e5,
+  months: 30.44 * 864e5,
+  years: 365.25 * 864e5,
+  decades: 3652.5 * 864e5,
+  centuries: 36525 * 864e5,
+};
+
+const formatters = new Map();
+
+/**
+ * Resolves the time zone to step in: the slide's `timeZone`, else the view's,
+ * else the system time zone. The view's "unknown" time zone steps in UTC.
+ */
+export function resolveTimeZone(timeZone, mapView) {
+  const zone = timeZone ?? mapView?.timeZone ?? "system";
+  return zone === "unknown" ? "UTC" : zone;
+}
+
+/**
+ * Adds an amount of units to a time. Fractional amounts of calendar units are
+ * spread over the length of the unit they fall in.
+ */
+export function addTime(time, amount, unit, timeZone = "UTC") {
+  if (unit in FIXED_UNIT_MS) return time + amount * FIXED_UNIT_MS[unit];
+
+  const whole = Math.floor(amount);
+  const base = addWholeUnits(time, whole, unit, timeZone);
+  const fraction = amount - whole;
+  if (!fraction) return base;
+  return base + fraction * (addWholeUnits(time, whole + 1, unit, timeZone) - base);
+}
+
+/**
+ * Returns how many units (with a fraction) lie between an origin and a time.
+ */
+export function unitsBetween(origin, time, unit, timeZone = "UTC") {
+  if (unit in FIXED_UNIT_MS) return (time - origin) / FIXED_UNIT_MS[unit];
+
+  let whole = Math.floor((time - origin) / APPROX_UNIT_MS[unit]);
+  while (addWholeUnits(origin, whole + 1, unit, timeZone) <= time) whole++;
+  while (addWholeUnits(origin, whole, unit, timeZone) > time) whole--;
+
+  const start = addWholeUnits(origin, whole, unit, timeZone);
+  const end = addWholeUnits(origin, whole + 1, unit, timeZone);
+  return whole + (time - start) / (end - start);
+}
+
+/**
+ * Snaps a time to the grid of `step` units starting at the origin.
+ * `mode` is "floor" (the last step reached), "round" (the nearest step) or
+ * "continuous" (no snapping).
+ */
+export function snapTime(time, origin, step, unit, mode = "floor", timeZone = "UTC") {
+  if (mode === "continuous" || !(step > 0) || !unit) return time;
+  const steps = unitsBetween(origin, time, unit, timeZone) / step;
+  // Tolerate rounding errors just below a step
+  const snapped = mode === "round" ? Math.round(steps) : Math.floor(steps + 1e-9);
+  return addTime(origin, snapped * step, unit, timeZone);
+}
+
+/**
+ * Returns the time extent showing a time: cumulative from the start of the data,
+ * or a moving window of { value, unit } ending at the time.
+ */
+export function timeExtentAt(time, timeWindow, timeZone = "UTC") {
+  const end = new Date(time);
+  if (!timeWindow) return { start: null, end };
+  return { start: new Date(addTime(time, -timeWindow.value, timeWindow.unit, timeZone)), end };
+}
+
+// --- Calendar helpers ---
+
+function addWholeUnits(time, amount, unit, timeZone) {
+  const [year, month, day, ...clock] = wallClock(time, timeZone);
+  if (unit in DAY_UNITS) return fromWallClock([year, month, day + amount * DAY_UNITS[unit], ...clock], timeZone);
+
+  // Step the month, keeping the day within the target month
+  const months = year * 12 + month + amount * MONTH_UNITS[unit];
+  const targetYear = Math.floor(months / 12);
+  const targetMonth = months - targetYear * 12;
+  const lastDay = new Date(Date.UTC(targetYear, targetMonth + 1, 0)).getUTCDate();
+  return fromWallClock([targetYear, targetMonth, Math.min(day, lastDay), ...clock], timeZone);
+}
+
+// Returns [year, month (0–11), day, hours, minutes, seconds, milliseconds] of a time in a time zone
+function wallClock(time, timeZone) {
+  const date = new Date(time);
+  if (timeZone === "UTC") {
+    return [
+      date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+      date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds(),
+    ];
+  }
+  const parts = {};
+  formatterFor(timeZone).formatToParts(date).forEach(({ type, value }) => { parts[type] = Number(value); });
+  return [parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, date.getUTCMilliseconds()];
+}
+
+// Returns the time showing the given wall clock in a time zone
+function fromWallClock(parts, timeZone) {
+  const asUTC = utc(parts);
+  if (timeZone === "UTC") return asUTC;
+  // Apply the zone offset, then correct it once in case the offset changes in between (DST)
+  const estimate = asUTC - zoneOffset(asUTC, timeZone);
+  return asUTC - zoneOffset(estimate, timeZone);
+}
+
+function zoneOffset(time, timeZone) {
+  return utc(wallClock(time, timeZone)) - time;
+}
+
+// Out-of-range months, days and hours roll over, as with Date.UTC
+function utc(parts) {
+  return Date.UTC(...parts);
+}
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone: timeZone === "system" ? undefined : timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    }));
+  }
+  return formatters.get(timeZone);
+}
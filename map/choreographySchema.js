@@ -0,0 +1,487 @@
+// JSON Schema (draft 2020-12 subset) describing the slides of mapChoreography.json.
+// The slides are an array (the whole file, or the `slides` of a story manifest, see
+// manifest.js); each slide is an object whose keys map to the choreographyHandlers
+// in animateOnSlide.js and animateOnScroll.js.
+// Only the keywords implemented in validateChoreography.js are used here.
+
+import { easings } from "./easing.js";
+
+const TIME_UNITS = [
+  "milliseconds",
+  "seconds",
+  "minutes",
+  "hours",
+  "days",
+  "weeks",
+  "months",
+  "years",
+  "decades",
+  "centuries"
+];
+
+// Ways a viewpoint can be fitted to the view (see toggleViewpoint)
+export const MAP_FITS = ["scale", "extent"];
+
+// Options passed to mapView.goTo for viewpoint transitions
+export const goToConfigSchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    animate: { type: "boolean" },
+    duration: { type: "number", minimum: 0 },
+    easing: { type: "string" },
+    speedFactor: { type: "number", exclusiveMinimum: 0 },
+    maxDuration: { type: "number", minimum: 0 }
+  }
+};
+
+export const choreographySchema = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  title: "Map choreography",
+  type: "array",
+  minItems: 1,
+  items: { $ref: "#/$defs/slide" },
+
+  $defs: {
+    slide: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        viewpoint: { $ref: "#/$defs/viewpoint" },
+        followPath: { $ref: "#/$defs/followPath" },
+        timeSlider: { $ref: "#/$defs/timeSlider" },
+        layerVisibility: { $ref: "#/$defs/layerVisibility" },
+        layerOpacity: { $ref: "#/$defs/layerOpacity" },
+        layerTime: { $ref: "#/$defs/layerTime" },
+        layerFilter: { $ref: "#/$defs/layerFilter" },
+        layerRenderer: { $ref: "#/$defs/layerRenderer" },
+        featureHighlight: {
+          anyOf: [
+            { $ref: "#/$defs/featureHighlight" },
+            { type: "array", minItems: 1, items: { $ref: "#/$defs/featureHighlight" } }
+          ]
+        },
+        trackRenderer: { $ref: "#/$defs/trackRenderer" },
+        graphics: { $ref: "#/$defs/graphics" },
+        environment: { $ref: "#/$defs/environment" },
+        timing: { $ref: "#/$defs/timing" },
+        keyframes: { type: "array", items: { $ref: "#/$defs/keyframe" } },
+        // Announced to screen readers when the slide is shown on the standalone map
+        description: { type: "string" },
+        // Per-slide overrides of the manifest / animationConfig transition settings
+        goToConfig: goToConfigSchema,
+        mapFit: { enum: MAP_FITS }
+      }
+    },
+
+    // Partial slide state at a progress offset within the slide's panel
+    keyframe: {
+      type: "object",
+      additionalProperties: false,
+      required: ["offset"],
+      properties: {
+        offset: { type: "number", minimum: 0, maximum: 1 },
+        easing: { $ref: "#/$defs/easing" },
+        viewpoint: { $ref: "#/$defs/viewpoint" },
+        timeSlider: { $ref: "#/$defs/timeSlider" },
+        layerOpacity: { $ref: "#/$defs/layerOpacity" },
+        layerRenderer: { $ref: "#/$defs/layerRenderer" },
+        trackRenderer: { $ref: "#/$defs/trackRenderer" },
+        graphics: { $ref: "#/$defs/graphics" },
+        environment: { $ref: "#/$defs/environment" }
+      }
+    },
+
+    spatialReference: {
+      type: "object",
+      properties: {
+        wkid: { type: "integer" },
+        latestWkid: { type: "integer" },
+        wkt: { type: "string" }
+      }
+    },
+
+    point: {
+      type: "object",
+      required: ["x", "y"],
+      properties: {
+        spatialReference: { $ref: "#/$defs/spatialReference" },
+        x: { type: "number" },
+        y: { type: "number" },
+        z: { type: "number" }
+      }
+    },
+
+    extent: {
+      type: "object",
+      required: ["xmin", "ymin", "xmax", "ymax"],
+      properties: {
+        spatialReference: { $ref: "#/$defs/spatialReference" },
+        xmin: { type: "number" },
+        ymin: { type: "number" },
+        xmax: { type: "number" },
+        ymax: { type: "number" }
+      }
+    },
+
+    // 3D camera, nested under viewpoint.camera and preferred in a SceneView
+    camera: {
+      type: "object",
+      required: ["position"],
+      additionalProperties: false,
+      properties: {
+        position: { $ref: "#/$defs/point" },
+        heading: { type: "number" },
+        tilt: { type: "number", minimum: 0, maximum: 180 },
+        fov: { type: "number", minimum: 1, maximum: 170 }
+      }
+    },
+
+    viewpoint: {
+      type: "object",
+      additionalProperties: false,
+      anyOf: [{ required: ["targetGeometry"] }, { required: ["camera"] }],
+      properties: {
+        rotation: { type: "number" },
+        scale: { type: "number", exclusiveMinimum: 0 },
+        targetGeometry: { $ref: "#/$defs/extent" },
+        camera: { $ref: "#/$defs/camera" }
+      }
+    },
+
+    polyline: {
+      type: "object",
+      required: ["paths"],
+      properties: {
+        paths: {
+          type: "array",
+          minItems: 1,
+          items: { type: "array", minItems: 2, items: { type: "array", minItems: 2, items: { type: "number" } } }
+        },
+        hasZ: { type: "boolean" },
+        hasM: { type: "boolean" },
+        spatialReference: { $ref: "#/$defs/spatialReference" }
+      }
+    },
+
+    // Route for the camera to follow with scroll: a polyline feature of a layer, or inline
+    // polyline JSON. start/end and lookAhead are fractions of the route's length.
+    followPath: {
+      type: "object",
+      additionalProperties: false,
+      anyOf: [{ required: ["geometry"] }, { required: ["layer", "objectId"] }],
+      properties: {
+        layer: { type: "string", minLength: 1 },
+        objectId: { type: "integer" },
+        geometry: { $ref: "#/$defs/polyline" },
+        start: { type: "number", minimum: 0, maximum: 1 },
+        end: { type: "number", minimum: 0, maximum: 1 },
+        lookAhead: { type: "number", minimum: 0, maximum: 1 },
+        // 2D: map scale, and whether the map rotates so the route heads up the screen
+        scale: { type: "number", exclusiveMinimum: 0 },
+        rotate: { type: "boolean" },
+        // 3D: camera tilt, and camera height in meters above the route
+        tilt: { type: "number", minimum: 0, maximum: 180 },
+        altitude: { type: "number" }
+      }
+    },
+
+    timeSlider: {
+      type: "object",
+      additionalProperties: false,
+      required: ["timeSliderStart", "timeSliderEnd"],
+      properties: {
+        timeSliderStart: { type: "string", format: "date-time" },
+        timeSliderEnd: { type: "string", format: "date-time" },
+        timeSliderUnit: { enum: TIME_UNITS },
+        timeSliderStep: { type: "number", exclusiveMinimum: 0 },
+        timeWindow: { $ref: "#/$defs/timeInterval" },
+        timeSnap: { enum: ["floor", "round", "continuous"] },
+        timeZone: { type: "string", minLength: 1 }
+      }
+    },
+
+    // A positive amount of time, ex. { "value": 7, "unit": "days" }
+    timeInterval: {
+      type: "object",
+      additionalProperties: false,
+      required: ["value", "unit"],
+      properties: {
+        value: { type: "number", exclusiveMinimum: 0 },
+        unit: { enum: TIME_UNITS }
+      }
+    },
+
+    layerNames: {
+      type: "array",
+      items: { type: "string", minLength: 1 }
+    },
+
+    layerVisibility: {
+      type: "object",
+      additionalProperties: false,
+      anyOf: [{ required: ["layersOn"] }, { required: ["layersOff"] }],
+      properties: {
+        layersOn: { $ref: "#/$defs/layerNames" },
+        layersOff: { $ref: "#/$defs/layerNames" }
+      }
+    },
+
+    // Opacity (0–1) keyed by layer title or layer id
+    layerOpacity: {
+      type: "object",
+      additionalProperties: { type: "number", minimum: 0, maximum: 1 }
+    },
+
+    // Time settings keyed by layer title or layer id (see timeControl.js); null clears a setting
+    layerTime: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          timeExtent: {
+            type: ["object", "null"],
+            additionalProperties: false,
+            properties: {
+              start: { type: ["string", "null"], format: "date-time" },
+              end: { type: ["string", "null"], format: "date-time" }
+            }
+          },
+          timeOffset: {
+            type: ["object", "null"],
+            additionalProperties: false,
+            required: ["value", "unit"],
+            properties: {
+              value: { type: "number" },
+              unit: { enum: TIME_UNITS }
+            }
+          },
+          useViewTime: { type: "boolean" }
+        }
+      }
+    },
+
+    // Definition expression and/or feature effect keyed by layer title or layer id.
+    // {name} placeholders are filled from `variables`, which step with scroll progress.
+    layerFilter: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        additionalProperties: false,
+        anyOf: [{ required: ["definitionExpression"] }, { required: ["featureEffect"] }],
+        properties: {
+          definitionExpression: { type: ["string", "null"] },
+          featureEffect: {
+            type: "object",
+            additionalProperties: false,
+            required: ["where"],
+            properties: {
+              where: { type: "string" },
+              includedEffect: { type: "string" },
+              excludedEffect: { type: "string" }
+            }
+          },
+          variables: {
+            type: "object",
+            additionalProperties: {
+              type: "object",
+              additionalProperties: false,
+              required: ["from", "to"],
+              properties: {
+                from: { type: "number" },
+                to: { type: "number" },
+                step: { type: "number", exclusiveMinimum: 0 }
+              }
+            }
+          }
+        }
+      }
+    },
+
+    // Renderer in web map JSON keyed by layer title or layer id
+    layerRenderer: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        required: ["type"],
+        properties: {
+          type: { enum: ["simple", "classBreaks", "uniqueValue", "heatmap", "dotDensity", "dictionary", "pieChart"] }
+        }
+      }
+    },
+
+    // Features to highlight, selected by where clause and/or object ids
+    featureHighlight: {
+      type: "object",
+      additionalProperties: false,
+      required: ["layer"],
+      anyOf: [{ required: ["where"] }, { required: ["objectIds"] }],
+      properties: {
+        layer: { type: "string", minLength: 1 },
+        where: { type: "string" },
+        objectIds: { type: "array", minItems: 1, items: { type: "integer" } },
+        popup: { type: "boolean" },
+        label: { type: "string" }
+      }
+    },
+
+    trackRenderer: {
+      type: "object",
+      additionalProperties: false,
+      required: ["trackLayerName", "trackFieldName", "trackInfo"],
+      properties: {
+        trackLayerName: { type: "string", minLength: 1 },
+        trackFieldName: { type: "string", minLength: 1 },
+        // Time step of the tracks; defaults to the slide's timeSlider interval
+        interval: { $ref: "#/$defs/timeInterval" },
+        trackInfo: { type: "object" }
+      }
+    },
+
+    // Graphics on the story overlay (see overlay.js), matched across states by id
+    graphics: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        anyOf: [{ required: ["geometry"] }, { required: ["geojson"] }, { required: ["along"] }],
+        properties: {
+          id: { type: "string", minLength: 1 },
+          // Esri JSON geometry
+          geometry: {
+            type: "object",
+            properties: { spatialReference: { $ref: "#/$defs/spatialReference" } }
+          },
+          geojson: {
+            type: "object",
+            required: ["type"],
+            properties: {
+              type: {
+                enum: ["FeatureCollection", "Feature", "Point", "MultiPoint", "LineString", "MultiLineString", "Polygon", "MultiPolygon"]
+              }
+            }
+          },
+          // A point moved along a route with scroll, between start and end fractions of its length
+          along: {
+            type: "object",
+            additionalProperties: false,
+            anyOf: [{ required: ["geometry"] }, { required: ["layer", "objectId"] }],
+            properties: {
+              layer: { type: "string", minLength: 1 },
+              objectId: { type: "integer" },
+              geometry: { $ref: "#/$defs/polyline" },
+              start: { type: "number", minimum: 0, maximum: 1 },
+              end: { type: "number", minimum: 0, maximum: 1 }
+            }
+          },
+          // Symbol in web map JSON
+          symbol: { type: "object", required: ["type"], properties: { type: { type: "string" } } },
+          attributes: { type: "object" },
+          opacity: { type: "number", minimum: 0, maximum: 1 },
+          scale: { type: "number", exclusiveMinimum: 0 },
+          pulse: { type: "boolean" }
+        }
+      }
+    },
+
+    easing: {
+      anyOf: [
+        { type: "string", enum: Object.keys(easings) },
+        {
+          type: "object",
+          additionalProperties: false,
+          required: ["cubicBezier"],
+          properties: {
+            cubicBezier: { type: "array", minItems: 4, maxItems: 4, items: { type: "number" } }
+          }
+        },
+        {
+          type: "object",
+          additionalProperties: false,
+          required: ["steps"],
+          properties: {
+            steps: { type: "integer", minimum: 1 },
+            position: { enum: ["start", "end"] }
+          }
+        }
+      ]
+    },
+
+    // Sub-range [start, end] of the panel's scroll progress during which a key animates
+    progressWindow: {
+      type: "array",
+      minItems: 2,
+      maxItems: 2,
+      items: { type: "number", minimum: 0, maximum: 1 }
+    },
+
+    keyTiming: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        easing: { $ref: "#/$defs/easing" },
+        window: { $ref: "#/$defs/progressWindow" }
+      }
+    },
+
+    // Viewpoint timing also selects the path: straight "linear" or zoom-out/arc "flight"
+    viewpointTiming: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        easing: { $ref: "#/$defs/easing" },
+        window: { $ref: "#/$defs/progressWindow" },
+        path: { enum: ["linear", "flight"] },
+        arcHeight: { type: "number", minimum: 0 }
+      }
+    },
+
+    // Slide-level easing/window, optionally overridden per scroll-animated key
+    timing: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        easing: { $ref: "#/$defs/easing" },
+        window: { $ref: "#/$defs/progressWindow" },
+        viewpoint: { $ref: "#/$defs/viewpointTiming" },
+        followPath: { $ref: "#/$defs/keyTiming" },
+        timeSlider: { $ref: "#/$defs/keyTiming" },
+        layerOpacity: { $ref: "#/$defs/keyTiming" },
+        layerFilter: { $ref: "#/$defs/keyTiming" },
+        layerRenderer: { $ref: "#/$defs/keyTiming" },
+        trackRenderer: { $ref: "#/$defs/keyTiming" },
+        graphics: { $ref: "#/$defs/keyTiming" },
+        environment: { $ref: "#/$defs/keyTiming" }
+      }
+    },
+
+    environment: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        lighting: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            type: { enum: ["sun", "virtual"] },
+            datetime: { type: "string", format: "date-time" },
+            displayUTCOffset: { type: "number", minimum: -14, maximum: 14 }
+          }
+        },
+        atmosphereEnabled: { type: "boolean" },
+        starsEnabled: { type: "boolean" },
+        weather: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            type: { enum: ["sunny", "cloudy", "rainy", "snowy", "foggy"] },
+            cloudCover: { type: "number", minimum: 0, maximum: 1 },
+            precipitation: { type: "number", minimum: 0, maximum: 1 },
+            fogStrength: { type: "number", minimum: 0, maximum: 1 }
+          }
+        }
+      }
+    }
+  }
+};
@@ -5,9 +5,15 @@ export const animationConfig = {
   "zoom": "4",
   "center": "-119.57, 37.74",
   "timePlayRate": "100",
+  "showTimeSlider": true,
   "debugMode": true,
   "disableMapNav": true,
   "mapFit": "scale",
   "mapChoreography": "../mapChoreography.json",
+  "strictChoreography": false,
+  "allowedOrigins": [],
+  "scrollDamping": 0,
+  "logFrameTimes": false,
+  "reducedMotion": "auto",
   "goToConfig": {"animate": true, "duration": 1000}
 };
\ No newline at end of file
@@ -0,0 +1,39 @@
+// JSON Schema for animationConfig (configAnimation.js), checked when the runtime
+// configuration of the map page is loaded. Uses the subset of JSON Schema
+// understood by validateChoreography.js.
+
+import { MAP_FITS, goToConfigSchema } from "./choreographySchema.js";
+
+export const animationConfigSchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    itemType: { enum: ["webmap", "webscene"] },
+    itemId: { type: "string", pattern: "^[0-9a-f]{32}$" },
+    zoom: { type: ["string", "number"] },
+    center: { type: "string", pattern: "^\\s*-?\\d+(\\.\\d+)?\\s*,\\s*-?\\d+(\\.\\d+)?\\s*$" },
+    timePlayRate: { type: ["string", "number"] },
+    showTimeSlider: { type: "boolean" },
+    debugMode: { type: "boolean" },
+    disableMapNav: { type: "boolean" },
+    mapFit: { enum: MAP_FITS },
+    mapChoreography: { type: "string", minLength: 1 },
+    strictChoreography: { type: "boolean" },
+    allowedOrigins: { type: "array", items: { type: "string" } },
+    scrollDamping: { type: "number", minimum: 0, exclusiveMaximum: 1 },
+    logFrameTimes: { type: "boolean" },
+    reducedMotion: { enum: ["auto", "always", "never"] },
+    goToConfig: goToConfigSchema
+  }
+};
+
+/**
+ * Query parameters of the map page that override animationConfig keys.
+ */
+export const animationConfigParams = {
+  itemId: "itemId",
+  itemType: "itemType",
+  mapFit: "mapFit",
+  showTimeSlider: "showTimeSlider",
+  choreography: "mapChoreography"
+};
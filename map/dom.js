@@ -0,0 +1,11 @@
+// DOM helpers shared by the on-map authoring controls.
+
+/**
+ * Creates an element with an optional class name and text content.
+ */
+export function element(tagName, className, text) {
+  const node = document.createElement(tagName);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
@@ -0,0 +1,114 @@
+// Shared easing curves and progress timing for scroll-driven choreography.
+// Every curve maps a normalized progress value (0–1) to an eased value (0–1).
+
+const clamp01 = (t) => Math.max(0, Math.min(1, t));
+
+/**
+ * Named easing curves that can be referenced from the choreography by name.
+ */
+export const easings = {
+  linear: (t) => t,
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => t * (2 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeInExpo: (t) => (t === 0 ? 0 : Math.pow(2, 10 * t - 10)),
+  easeOutExpo: (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+  easeInOutExpo: (t) =>
+    t === 0 ? 0
+    : t === 1 ? 1
+    : t < 0.5 ? Math.pow(2, 20 * t - 10) / 2
+    : (2 - Math.pow(2, -20 * t + 10)) / 2,
+  step: (t) => (t < 1 ? 0 : 1)
+};
+
+/**
+ * Creates a CSS-style cubic-bezier easing from the control points (x1, y1, x2, y2).
+ * Solves the curve's x for t with Newton iterations, falling back to bisection.
+ */
+export function cubicBezier(x1, y1, x2, y2) {
+  const sampleX = (t) => ((1 - 3 * x2 + 3 * x1) * t + (3 * x2 - 6 * x1)) * t * t + 3 * x1 * t;
+  const sampleY = (t) => ((1 - 3 * y2 + 3 * y1) * t + (3 * y2 - 6 * y1)) * t * t + 3 * y1 * t;
+  const slopeX = (t) => 3 * (1 - 3 * x2 + 3 * x1) * t * t + 2 * (3 * x2 - 6 * x1) * t + 3 * x1;
+
+  const solveX = (x) => {
+    let t = x;
+    for (let i = 0; i < 8; i++) {
+      const error = sampleX(t) - x;
+      if (Math.abs(error) < 1e-6) return t;
+      const slope = slopeX(t);
+      if (Math.abs(slope) < 1e-6) break;
+      t -= error / slope;
+    }
+    let lo = 0;
+    let hi = 1;
+    t = x;
+    while (hi - lo > 1e-6) {
+      if (sampleX(t) < x) lo = t;
+      else hi = t;
+      t = (lo + hi) / 2;
+    }
+    return t;
+  };
+
+  return (x) => (x <= 0 ? 0 : x >= 1 ? 1 : sampleY(solveX(x)));
+}
+
+/**
+ * Creates a stepped easing that jumps through `count` discrete levels.
+ */
+export function steps(count, position = "end") {
+  const n = Math.max(1, Math.floor(count));
+  return position === "start"
+    ? (t) => Math.min(1, Math.ceil(t * n) / n)
+    : (t) => (t >= 1 ? 1 : Math.floor(t * n) / n);
+}
+
+/**
+ * Resolves an easing definition from the choreography into a function.
+ * Accepts a curve name ("easeInOutCubic"), { cubicBezier: [x1, y1, x2, y2] }
+ * or { steps: n, position: "start" | "end" }. Unknown definitions fall back to the given default.
+ */
+export function resolveEasing(definition, fallback = easings.linear) {
+  if (!definition) return fallback;
+  if (typeof definition === "string") {
+    if (easings[definition]) return easings[definition];
+    console.warn(`Unknown easing '${definition}', using default.`);
+    return fallback;
+  }
+  if (Array.isArray(definition.cubicBezier) && definition.cubicBezier.length === 4) {
+    return cubicBezier(...definition.cubicBezier);
+  }
+  if (definition.steps !== undefined) {
+    return steps(definition.steps, definition.position);
+  }
+  console.warn("Unrecognized easing definition, using default:", definition);
+  return fallback;
+}
+
+/**
+ * Remaps panel progress into a sub-window [start, end] of the panel, so a key
+ * can animate only during part of the scroll (e.g. [0.2, 0.8]).
+ * Progress before the window is 0 and after the window is 1.
+ */
+export function applyWindow(progress, window) {
+  if (!Array.isArray(window) || window.length !== 2) return clamp01(progress);
+  const [start, end] = window;
+  if (end <= start) return progress < start ? 0 : 1;
+  return clamp01((progress - start) / (end - start));
+}
+
+/**
+ * Resolves the easing and progress window for one choreography key from the
+ * slide's `timing` block. Key-level settings override the slide-level ones,
+ * and `defaultEasing` applies when neither defines an easing.
+ */
+export function resolveTiming(timing, key, defaultEasing) {
+  const keyTiming = timing?.[key] || {};
+  return {
+    window: keyTiming.window ?? timing?.window,
+    easing: resolveEasing(keyTiming.easing ?? timing?.easing, resolveEasing(defaultEasing))
+  };
+}
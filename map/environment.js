@@ -0,0 +1,35 @@
+// Scene environment in the shape of the choreography's `environment` key, shared by
+// the authoring tool (capturing slides) and the slide states (the environment before
+// any slide changed it).
+
+/**
+ * Returns the lighting, weather, atmosphere and stars of a 3D view as an `environment`
+ * block, or null in a 2D view.
+ */
+export function captureEnvironment(mapView) {
+  if (mapView.type !== "3d" || !mapView.environment) return null;
+  const { lighting, weather, atmosphereEnabled, starsEnabled } = mapView.environment;
+
+  const environment = {
+    lighting: withoutUndefined({
+      type: lighting?.type,
+      datetime: lighting?.date?.toISOString(),
+      displayUTCOffset: lighting?.displayUTCOffset ?? undefined,
+    }),
+    atmosphereEnabled,
+    starsEnabled,
+  };
+  if (weather) {
+    environment.weather = withoutUndefined({
+      type: weather.type,
+      cloudCover: weather.cloudCover,
+      precipitation: weather.precipitation,
+      fogStrength: weather.fogStrength,
+    });
+  }
+  return withoutUndefined(environment);
+}
+
+function withoutUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
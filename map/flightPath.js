@@ -0,0 +1,163 @@
+// Flight-path interpolation for viewpoint transitions.
+// 2D extents follow a van Wijk & Nuij "optimal" zoom-out/zoom-in path, and 3D
+// camera positions follow a great-circle arc with an altitude bump, instead of
+// a straight lerp through the projection.
+
+import { lerp } from "./interpolate.js";
+
+const RHO = Math.SQRT2; // curvature of the van Wijk path (d3.interpolateZoom default)
+const EARTH_RADIUS = 6378137;
+const DEG = Math.PI / 180;
+const WEB_MERCATOR_WKIDS = new Set([3857, 102100, 102113, 900913]);
+const GEOGRAPHIC_WKIDS = new Set([4326]);
+
+/**
+ * Interpolates angles in degrees along the shortest direction,
+ * so 350° → 10° turns 20° instead of 340°. The result is normalized to [0, 360).
+ */
+export function lerpAngle(a, b, t) {
+  if (a === undefined || b === undefined) return a ?? b;
+  const delta = ((((b - a) % 360) + 540) % 360) - 180;
+  return (((a + delta * t) % 360) + 360) % 360;
+}
+
+/**
+ * Builds the van Wijk zoom path between two views given as [centerX, centerY, width].
+ * Returns a function of t (0–1) that yields the intermediate [centerX, centerY, width].
+ */
+export function zoomPath([ux0, uy0, w0], [ux1, uy1, w1]) {
+  const rho2 = RHO * RHO;
+  const rho4 = rho2 * rho2;
+  const dx = ux1 - ux0;
+  const dy = uy1 - uy0;
+  const d2 = dx * dx + dy * dy;
+
+  // Pure zoom: no pan to speak of, scale exponentially
+  if (d2 < 1e-12) {
+    const S = Math.log(w1 / w0) / RHO;
+    return (t) => [ux0 + t * dx, uy0 + t * dy, w0 * Math.exp(RHO * t * S)];
+  }
+
+  const d1 = Math.sqrt(d2);
+  const b0 = (w1 * w1 - w0 * w0 + rho4 * d2) / (2 * w0 * rho2 * d1);
+  const b1 = (w1 * w1 - w0 * w0 - rho4 * d2) / (2 * w1 * rho2 * d1);
+  const r0 = Math.log(Math.sqrt(b0 * b0 + 1) - b0);
+  const r1 = Math.log(Math.sqrt(b1 * b1 + 1) - b1);
+  const S = (r1 - r0) / RHO;
+
+  return (t) => {
+    const s = t * S;
+    const coshr0 = Math.cosh(r0);
+    const u = (w0 / (rho2 * d1)) * (coshr0 * Math.tanh(RHO * s + r0) - Math.sinh(r0));
+    return [ux0 + u * dx, uy0 + u * dy, (w0 * coshr0) / Math.cosh(RHO * s + r0)];
+  };
+}
+
+/**
+ * Interpolates between two extents along the van Wijk zoom path.
+ * Returns the intermediate extent and the ratio of its width to the start width,
+ * which callers can use to derive an intermediate scale.
+ */
+export function flyExtent(from, to, t) {
+  const size = (e) => Math.max(e.xmax - e.xmin, e.ymax - e.ymin);
+  const center = (e) => [(e.xmin + e.xmax) / 2, (e.ymin + e.ymax) / 2];
+  const w0 = size(from);
+  const w1 = size(to);
+  if (!(w0 > 0) || !(w1 > 0)) return null;
+
+  const [cx, cy, w] = zoomPath([...center(from), w0], [...center(to), w1])(t);
+
+  // Keep the aspect ratio blending between the two extents
+  const aspect = lerp((from.ymax - from.ymin) / (from.xmax - from.xmin), (to.ymax - to.ymin) / (to.xmax - to.xmin), t);
+  const width = aspect > 1 ? w / aspect : w;
+  const height = aspect > 1 ? w : w * aspect;
+
+  return {
+    extent: {
+      spatialReference: from.spatialReference || to.spatialReference,
+      xmin: cx - width / 2,
+      ymin: cy - height / 2,
+      xmax: cx + width / 2,
+      ymax: cy + height / 2,
+    },
+    widths: [w0, w, w1],
+  };
+}
+
+/**
+ * Interpolates a viewpoint scale along a flight path so the scale follows the
+ * zoom-out/zoom-in of the extent while still landing exactly on both end scales.
+ */
+export function flyScale(scale0, scale1, [w0, w, w1], t) {
+  if (!scale0 || !scale1) return lerp(scale0, scale1, t);
+  const ratio = Math.exp(lerp(Math.log(scale0 / w0), Math.log(scale1 / w1), t));
+  return w * ratio;
+}
+
+/**
+ * Interpolates a 3D camera position along the great circle between two
+ * positions, raising the altitude by `arcHeight` times the arc length at the
+ * middle of the flight. Supports Web Mercator and WGS84 positions; returns
+ * null for other spatial references so callers can fall back to a lerp.
+ */
+export function flyPosition(from, to, t, arcHeight = 0.25) {
+  const wkid = from.spatialReference?.latestWkid ?? from.spatialReference?.wkid ?? 4326;
+  const projection = WEB_MERCATOR_WKIDS.has(wkid) ? webMercator : GEOGRAPHIC_WKIDS.has(wkid) ? geographic : null;
+  if (!projection) return null;
+
+  const [lon0, lat0] = projection.toLonLat(from.x, from.y);
+  const [lon1, lat1] = projection.toLonLat(to.x, to.y);
+  const a = toVector(lon0, lat0);
+  const b = toVector(lon1, lat1);
+  const angle = Math.acos(Math.max(-1, Math.min(1, a[0] * b[0] + a[1] * b[1] + a[2] * b[2])));
+
+  let point;
+  if (angle < 1e-9) {
+    point = a;
+  } else {
+    const sin = Math.sin(angle);
+    const k0 = Math.sin((1 - t) * angle) / sin;
+    const k1 = Math.sin(t * angle) / sin;
+    point = [k0 * a[0] + k1 * b[0], k0 * a[1] + k1 * b[1], k0 * a[2] + k1 * b[2]];
+  }
+
+  const [lon, lat] = toLonLat(point);
+  const [x, y] = projection.fromLonLat(lon, lat);
+  const bump = arcHeight * angle * EARTH_RADIUS * Math.sin(Math.PI * t);
+
+  return {
+    spatialReference: from.spatialReference || to.spatialReference,
+    x,
+    y,
+    z: lerp(from.z ?? 0, to.z ?? 0, t) + bump,
+  };
+}
+
+// --- Projection helpers ---
+
+const webMercator = {
+  toLonLat: (x, y) => [
+    x / EARTH_RADIUS / DEG,
+    (2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - Math.PI / 2) / DEG,
+  ],
+  fromLonLat: (lon, lat) => [
+    lon * DEG * EARTH_RADIUS,
+    Math.log(Math.tan(Math.PI / 4 + (lat * DEG) / 2)) * EARTH_RADIUS,
+  ],
+};
+
+const geographic = {
+  toLonLat: (x, y) => [x, y],
+  fromLonLat: (lon, lat) => [lon, lat],
+};
+
+function toVector(lon, lat) {
+  const phi = lat * DEG;
+  const lambda = lon * DEG;
+  return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+}
+
+function toLonLat([x, y, z]) {
+  const length = Math.hypot(x, y, z);
+  return [Math.atan2(y, x) / DEG, Math.asin(z / length) / DEG];
+}
@@ -0,0 +1,31 @@
+// Generic value interpolation shared by the scroll handlers.
+
+export const lerp = (a, b, t) => (a === undefined || b === undefined) ? (a ?? b) : a + (b - a) * t;
+
+/**
+ * Interpolates two JSON values of the same shape based on progress (0–1).
+ * Numbers are lerped, arrays and objects are interpolated member by member,
+ * and anything else (strings, booleans, mismatched shapes) keeps the `from` value.
+ * Members only present on one side are kept as they are.
+ */
+export function interpolateJSON(from, to, t) {
+  if (typeof from === "number" && typeof to === "number") return lerp(from, to, t);
+
+  if (Array.isArray(from) && Array.isArray(to)) {
+    return from.map((item, index) => (index < to.length ? interpolateJSON(item, to[index], t) : item));
+  }
+
+  if (isPlainObject(from) && isPlainObject(to)) {
+    const result = { ...to, ...from };
+    Object.keys(from).forEach((key) => {
+      if (key in to) result[key] = interpolateJSON(from[key], to[key], t);
+    });
+    return result;
+  }
+
+  return from ?? to;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
@@ -0,0 +1,89 @@
+// Keyframe tracks within a single narrative panel.
+// A slide may define `keyframes`: an ordered list of partial slide states at
+// progress offsets (0–1), e.g. a viewpoint at 0, 0.4 and 1.0 and a time at 0 and 0.7.
+// Each choreography key forms its own track from the slide's base value (offset 0),
+// the keyframes that define the key, and the next slide's starting value (offset 1).
+
+/**
+ * Returns the keyframes of a slide sorted by offset.
+ */
+export function slideKeyframes(slide) {
+  const keyframes = Array.isArray(slide?.keyframes) ? slide.keyframes : [];
+  return [...keyframes].sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Returns the state a slide starts in: its own keys, with keys that only
+ * appear in keyframes taken from the earliest keyframe that defines them.
+ */
+export function slideBaseState(slide) {
+  if (!slide) return slide;
+  const state = { ...slide };
+  slideKeyframes(slide).forEach(({ offset, easing, ...keys }) => {
+    Object.entries(keys).forEach(([key, value]) => {
+      if (state[key] === undefined) state[key] = value;
+    });
+  });
+  return state;
+}
+
+/**
+ * Lists every choreography key animated by a slide, including keys that
+ * are only defined inside its keyframes.
+ */
+export function slideTrackKeys(slide) {
+  const keys = new Set(Object.keys(slide || {}));
+  slideKeyframes(slide).forEach(({ offset, easing, ...frameKeys }) => {
+    Object.keys(frameKeys).forEach((key) => keys.add(key));
+  });
+  keys.delete("keyframes");
+  return [...keys];
+}
+
+/**
+ * Builds the ordered track of { offset, value, easing } points for one key.
+ * A keyframe at the same offset as the slide's base value replaces it.
+ */
+export function buildTrack(slideCurrent, slideNext, key) {
+  const points = [];
+  if (slideCurrent?.[key] !== undefined) points.push({ offset: 0, value: slideCurrent[key] });
+
+  slideKeyframes(slideCurrent).forEach((frame) => {
+    if (frame[key] === undefined) return;
+    const offset = Math.max(0, Math.min(1, frame.offset));
+    const point = { offset, value: frame[key], easing: frame.easing };
+    const existing = points.findIndex((p) => p.offset === offset);
+    if (existing >= 0) points[existing] = point;
+    else points.push(point);
+  });
+
+  const nextValue = slideBaseState(slideNext)?.[key];
+  if (nextValue !== undefined && !points.some((p) => p.offset === 1)) {
+    points.push({ offset: 1, value: nextValue });
+  }
+
+  return points.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Finds the pair of track points surrounding progress and the local progress
+ * (0–1) between them. Before the first point the track holds at its start;
+ * after the last point (and at progress 1) `to` is undefined and the last point
+ * spans to the end of the panel, matching how a slide without a next value is
+ * animated.
+ */
+export function sampleTrack(track, progress) {
+  if (!track.length) return null;
+
+  const first = track[0];
+  if (progress < first.offset) return { from: first, to: first, t: 0 };
+
+  let index = track.length - 1;
+  while (index > 0 && track[index].offset > progress) index--;
+
+  const from = track[index];
+  const to = track[index + 1];
+  const span = (to ? to.offset : 1) - from.offset;
+  const t = span > 0 ? Math.max(0, Math.min(1, (progress - from.offset) / span)) : 0;
+  return { from, to, t };
+}
@@ -0,0 +1,100 @@
+import { resolveLayers } from "./layers.js";
+
+// Per-slide definition expressions and feature-effect filters.
+// Each layerFilter entry may use {placeholders} in its expressions whose numeric
+// values are declared under `variables` and step from `from` to `to` with scroll progress:
+//   "Trails": {
+//     "definitionExpression": "length_km >= {minLength}",
+//     "variables": { "minLength": { "from": 0, "to": 20, "step": 1 } }
+//   }
+
+// Layers currently filtered by the choreography, mapped to their original filter state
+const filteredLayers = new Map();
+
+/**
+ * Resolves the value of every variable of a layer filter at the given progress (0–1),
+ * interpolating from `from` to `to` and snapping to `step` when one is set.
+ */
+export function filterValuesAt(filter, progress) {
+  const values = {};
+  Object.entries(filter.variables || {}).forEach(([name, { from, to, step }]) => {
+    let value = from + (to - from) * progress;
+    if (step > 0) value = from + Math.round((value - from) / step) * step;
+    values[name] = Math.min(Math.max(value, Math.min(from, to)), Math.max(from, to));
+  });
+  return values;
+}
+
+/**
+ * Replaces {name} placeholders in an expression with the given values.
+ * Unknown placeholders are left untouched.
+ */
+export function expandExpression(expression, values) {
+  if (typeof expression !== "string") return expression;
+  return expression.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+/**
+ * Applies the layerFilter entries of a slide to their layers at the given progress.
+ * Records each layer's original filter the first time it is touched so it can be restored;
+ * a filter part the slide does not define falls back to the original.
+ * Filters are only reassigned when they change, to avoid refetching data on every scroll.
+ */
+export function applyLayerFilters(mapView, layerFilter, progress = 0) {
+  Object.entries(layerFilter || {}).forEach(([reference, filter]) => {
+    const values = filterValuesAt(filter, progress);
+    resolveLayers(mapView, reference).forEach((layer) => {
+      if (!filteredLayers.has(layer)) {
+        filteredLayers.set(layer, {
+          original: {
+            definitionExpression: layer.definitionExpression,
+            featureEffect: layer.featureEffect ? layer.featureEffect.clone() : null,
+          },
+          effectKey: null,
+        });
+      }
+      const state = filteredLayers.get(layer);
+
+      if ("definitionExpression" in layer) {
+        const expression = filter.definitionExpression !== undefined
+          ? expandExpression(filter.definitionExpression, values)
+          : state.original.definitionExpression;
+        if (layer.definitionExpression !== expression) layer.definitionExpression = expression;
+      }
+
+      if ("featureEffect" in layer) {
+        const effect = filter.featureEffect
+          ? {
+              filter: { where: expandExpression(filter.featureEffect.where, values) },
+              includedEffect: filter.featureEffect.includedEffect,
+              excludedEffect: filter.featureEffect.excludedEffect,
+            }
+          : null;
+        const effectKey = effect ? JSON.stringify(effect) : null;
+        if (state.effectKey !== effectKey) {
+          layer.featureEffect = effect || state.original.featureEffect;
+          state.effectKey = effectKey;
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Restores the original filter of every layer the choreography has filtered,
+ * except layers that the given layerFilter is about to set again.
+ */
+export function restoreLayerFilters(mapView, layerFilter) {
+  const keep = new Set();
+  Object.keys(layerFilter || {}).forEach((reference) => {
+    resolveLayers(mapView, reference).forEach((layer) => keep.add(layer));
+  });
+
+  filteredLayers.forEach(({ original }, layer) => {
+    if (keep.has(layer)) return;
+    if ("definitionExpression" in layer) layer.definitionExpression = original.definitionExpression;
+    if ("featureEffect" in layer) layer.featureEffect = original.featureEffect;
+    filteredLayers.delete(layer);
+    console.log(`Layer '${layer.title}' filter restored`);
+  });
+}
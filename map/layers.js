@@ -0,0 +1,47 @@
+// Layer resolver shared by the choreography handlers.
+// A choreography layer reference is either a layer title, a layer id, or
+// "<layerId>/<sublayerId>" for a sublayer of a map image layer.
+
+const warnedReferences = new Set();
+
+/**
+ * Finds the layers and sublayers matching a choreography layer reference.
+ * Walks `allLayers` (so layers nested inside group layers are included) and the
+ * `allSublayers` of map image layers. Matches by title or by stable layer id.
+ * Warns once per reference when it matches nothing or more than one layer.
+ */
+export function resolveLayers(mapView, reference) {
+  if (!mapView?.map || reference === undefined || reference === null) return [];
+  const key = String(reference);
+
+  const matches = [];
+  mapView.map.allLayers.forEach((layer) => {
+    if (layer.id === key || layer.title === key) matches.push(layer);
+
+    layer.allSublayers?.forEach((sublayer) => {
+      if (sublayer.title === key || `${layer.id}/${sublayer.id}` === key) matches.push(sublayer);
+    });
+  });
+
+  if (matches.length === 0) {
+    warnOnce(key, `No layer matches '${key}' in the choreography; check the layer title or id in the web map.`);
+  } else if (matches.length > 1) {
+    warnOnce(key, `${matches.length} layers match '${key}' in the choreography; use a layer id to target one.`, matches);
+  }
+
+  return matches;
+}
+
+/**
+ * Returns the first layer matching a choreography layer reference, or undefined.
+ */
+export function resolveLayer(mapView, reference) {
+  return resolveLayers(mapView, reference)[0];
+}
+
+function warnOnce(reference, message, matches) {
+  if (warnedReferences.has(reference)) return;
+  warnedReferences.add(reference);
+  if (matches) console.warn(message, matches);
+  else console.warn(message);
+}
@@ -0,0 +1,108 @@
+// Story manifest: a single file holding a story's map, transition and story
+// settings together with its slides, in place of separate config modules:
+//   {
+//     "map": { "itemId": "…", "itemType": "webmap", "zoom": 4, "center": "-119.57, 37.74", "timePlayRate": 100 },
+//     "transition": { "goToConfig": { "animate": true, "duration": 1000 }, "mapFit": "scale" },
+//     "story": { "storyId": "…", "sidecars": [{ "id": "main", "nodeSelector": "#n-d4nVFH" }] },
+//     "slides": [ … ]
+//   }
+// Every header section is optional. A bare array of slides (the legacy format)
+// is still accepted as a manifest without a header.
+
+import { animationConfigSchema } from "./configSchema.js";
+import { MAP_FITS, goToConfigSchema } from "./choreographySchema.js";
+import { formatSchemaError, validateSchema } from "./validateSchema.js";
+
+const mapProperties = animationConfigSchema.properties;
+
+export const manifestHeaderSchema = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    map: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        itemId: mapProperties.itemId,
+        itemType: mapProperties.itemType,
+        zoom: mapProperties.zoom,
+        center: mapProperties.center,
+        timePlayRate: mapProperties.timePlayRate,
+        showTimeSlider: mapProperties.showTimeSlider
+      }
+    },
+    transition: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        goToConfig: goToConfigSchema,
+        mapFit: { enum: MAP_FITS }
+      }
+    },
+    // Checked in full by the story host's configuration schema
+    story: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        storyId: { type: "string" },
+        nodeSelector: { type: "string" },
+        sidecars: { type: "array" }
+      }
+    }
+  }
+};
+
+/**
+ * Returns true for a story manifest object (as opposed to a bare slide array).
+ */
+export function isManifest(data) {
+  return Boolean(data) && typeof data === "object" && !Array.isArray(data) && "slides" in data;
+}
+
+/**
+ * Splits choreography file data into its header and slides. A bare slide array
+ * has no header; anything else that is not a manifest is returned as the
+ * slides so the choreography validation reports it.
+ */
+export function readManifest(data) {
+  if (!isManifest(data)) return { header: null, slides: data };
+  const { slides, ...header } = data;
+  return { header: checkManifestHeader(header), slides };
+}
+
+/**
+ * Returns the animationConfig keys set by a manifest header.
+ */
+export function headerToAnimationConfig(header) {
+  return withoutUndefined({
+    ...header?.map,
+    goToConfig: header?.transition?.goToConfig,
+    mapFit: header?.transition?.mapFit,
+  });
+}
+
+/**
+ * Returns the story host configuration keys set by a manifest header.
+ */
+export function headerToHostConfig(header) {
+  return withoutUndefined({ ...header?.story });
+}
+
+// Reports header problems and drops each invalid setting, keeping the rest
+function checkManifestHeader(header) {
+  const errors = validateSchema(header, manifestHeaderSchema);
+  if (!errors.length) return header;
+
+  const checked = structuredClone(header);
+  errors.forEach((error) => {
+    console.error("Invalid manifest header:", formatSchemaError(error));
+    const [section, key] = error.path.replace(/^\$\.?/, "").split(/[.[]/);
+    if (key && checked[section]) delete checked[section][key];
+    else if (section) delete checked[section];
+  });
+  return checked;
+}
+
+function withoutUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
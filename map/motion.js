@@ -0,0 +1,29 @@
+// Reduced motion support.
+// Follows the reader's `prefers-reduced-motion` setting, unless
+// animationConfig.reducedMotion forces it ("always") or ignores it ("never").
+// With reduced motion, camera moves become instant cuts with a short fade
+// instead of continuous fly-throughs, and the time slider does not autoplay.
+
+import { animationConfig } from "./configAnimation.js";
+
+const reducedMotionQuery = window.matchMedia?.("(prefers-reduced-motion: reduce)");
+
+/**
+ * Returns true when animations should be reduced. Reads the media query on
+ * every call, so changing the system setting applies right away.
+ */
+export function prefersReducedMotion() {
+  if (animationConfig.reducedMotion === "always") return true;
+  if (animationConfig.reducedMotion === "never") return false;
+  return Boolean(reducedMotionQuery?.matches);
+}
+
+/**
+ * Fades an element in from partly transparent, to soften an instant cut.
+ */
+export function fadeIn(element) {
+  if (!element) return;
+  element.classList.remove("motion-cut");
+  void element.offsetWidth; // restart the animation when cutting again
+  element.classList.add("motion-cut");
+}
@@ -0,0 +1,48 @@
+// Camera navigation shared by the slide and scroll handlers.
+// Only the latest navigation runs: starting a new one aborts the one in flight,
+// so scroll updates and slide changes never stack overlapping goTo animations.
+
+import { isAbortError } from "@arcgis/core/core/promiseUtils.js";
+
+import { animationConfig } from "./configAnimation.js";
+import { fadeIn, prefersReducedMotion } from "./motion.js";
+
+let inFlight = null;
+
+/**
+ * Returns the goTo options and map fit of a slide: its own `goToConfig` and
+ * `mapFit` overrides, falling back to animationConfig.
+ */
+export function transitionSettings(slide) {
+  return {
+    goToConfig: slide?.goToConfig ?? animationConfig.goToConfig,
+    mapFit: slide?.mapFit ?? animationConfig.mapFit,
+  };
+}
+
+/**
+ * Navigates the view to the target with mapView.goTo, first aborting the
+ * navigation still in flight. Resolves to true once the view arrives, or to false
+ * when a newer navigation supersedes this one; rejects only on real navigation errors.
+ * With reduced motion the view cuts to the target and fades in instead of flying.
+ */
+export function navigateTo(mapView, target, options = {}) {
+  inFlight?.abort();
+  const controller = new AbortController();
+  inFlight = controller;
+
+  const reduceMotion = prefersReducedMotion();
+  return mapView
+    .goTo(target, { ...options, ...(reduceMotion && { animate: false }), signal: controller.signal })
+    .then(() => {
+      if (reduceMotion) fadeIn(mapView.container);
+      return true;
+    })
+    .catch((error) => {
+      if (!isAbortError(error)) throw error;
+      return false;
+    })
+    .finally(() => {
+      if (inFlight === controller) inFlight = null;
+    });
+}
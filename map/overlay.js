@@ -0,0 +1,285 @@
+// Story graphics overlay for the `graphics` choreography key.
+// The animator keeps one GraphicsLayer on top of the map for the graphics of the current
+// slide: markers, labels, lines and areas given as Esri JSON geometry or GeoJSON, pulsing
+// points, and markers placed `along` a route with scroll ("you are here"):
+//   "graphics": [
+//     { "id": "camp", "geometry": { "x": -119.55, "y": 37.73 }, "pulse": true },
+//     { "id": "hiker", "along": { "layer": "Yosemite Hiking Route", "objectId": 1 } },
+//     { "id": "label", "geometry": { "x": -119.6, "y": 37.74 },
+//       "symbol": { "type": "esriTS", "text": "Half Dome", "color": [255, 255, 255, 255], "font": { "size": 12 } } }
+//   ]
+// Graphics are matched by `id` (or their position in the list) across slides and keyframes:
+// a graphic the next state keeps is updated in place, and while scrolling its position,
+// symbol, `opacity` and `scale` interpolate toward the next state. A graphic that first
+// appears in a keyframe or the next slide fades in toward it, and one the scroll position
+// has passed is removed. Showing a slide removes the graphics it does not list, so jumping
+// between slides rebuilds the overlay exactly.
+// Geometry without a spatialReference, and all GeoJSON, is in WGS84.
+
+import Graphic from "@arcgis/core/Graphic.js";
+import GraphicsLayer from "@arcgis/core/layers/GraphicsLayer.js";
+import * as geometryJsonUtils from "@arcgis/core/geometry/support/jsonUtils.js";
+import * as symbolJsonUtils from "@arcgis/core/symbols/support/jsonUtils.js";
+
+import { interpolateJSON, lerp } from "./interpolate.js";
+import { prefersReducedMotion } from "./motion.js";
+import { pointAlongRoute } from "./pathCamera.js";
+
+const WGS84 = { wkid: 4326 };
+const PULSE_PERIOD = 1500; // ms
+const ACCENT = [227, 26, 28];
+const DEFAULT_SYMBOLS = {
+  point: { type: "esriSMS", style: "esriSMSCircle", color: [...ACCENT, 255], size: 10, outline: { type: "esriSLS", style: "esriSLSSolid", color: [255, 255, 255, 255], width: 1.5 } },
+  polyline: { type: "esriSLS", style: "esriSLSSolid", color: [...ACCENT, 255], width: 3 },
+  polygon: { type: "esriSFS", style: "esriSFSSolid", color: [...ACCENT, 64], outline: { type: "esriSLS", style: "esriSLSSolid", color: [...ACCENT, 255], width: 2 } },
+};
+
+let overlayLayer = null;
+// Graphics on the overlay by id: { graphic, entry, state, symbolKey, geometryKey }
+const shown = new Map();
+// Normalized entries by choreography graphics list, since scroll updates reuse the same lists
+const normalizedLists = new WeakMap();
+let pulseFrame = null;
+
+/**
+ * Adds the graphics of a slide to the overlay, or updates the graphics already shown
+ * with the same id, in their starting state.
+ */
+export function showGraphics(mapView, graphics) {
+  const layer = overlayFor(mapView);
+  if (!layer) return;
+
+  normalizeGraphics(graphics).forEach((entry) => {
+    setState(mapView, recordFor(layer, entry), entryState(entry), 0);
+  });
+  updatePulse();
+}
+
+/**
+ * Removes every graphic from the overlay except those the given graphics list shows again.
+ */
+export function keepGraphics(graphics) {
+  removeGraphicsExcept(new Set(normalizeGraphics(graphics).map((entry) => entry.id)));
+  updatePulse();
+}
+
+/**
+ * Interpolates the graphics of one state toward the graphics with the same id in the
+ * next state, based on progress (0–1). Graphics placed `along` a route move to the
+ * point at that progress along it. Graphics missing from the overlay are added, those
+ * only in the next state fading in, and graphics in neither state are removed.
+ */
+export function updateGraphics(mapView, graphics, nextGraphics, progress) {
+  const layer = overlayFor(mapView);
+  if (!layer) return;
+
+  const entries = normalizeGraphics(graphics);
+  const current = new Set(entries.map((entry) => entry.id));
+  const next = new Map(normalizeGraphics(nextGraphics).map((entry) => [entry.id, entry]));
+  removeGraphicsExcept(new Set([...current, ...next.keys()]));
+
+  entries.forEach((entry) => {
+    const from = entryState(entry);
+    const to = next.has(entry.id) ? entryState(next.get(entry.id)) : from;
+    setState(mapView, recordFor(layer, entry), interpolateState(from, to, progress), progress);
+  });
+  next.forEach((entry, id) => {
+    if (current.has(id)) return;
+    const to = entryState(entry);
+    setState(mapView, recordFor(layer, entry), interpolateState({ ...to, opacity: 0 }, to, progress), progress);
+  });
+  updatePulse();
+}
+
+// --- Graphic state ---
+
+// The record showing an entry on the overlay, added when the entry's id is not shown yet
+function recordFor(layer, entry) {
+  let record = shown.get(entry.id);
+  if (!record) {
+    record = { graphic: new Graphic(), symbolKey: null, geometryKey: null };
+    shown.set(entry.id, record);
+    layer.add(record.graphic);
+  }
+  if (record.entry !== entry) {
+    record.entry = entry;
+    record.graphic.attributes = entry.attributes;
+  }
+  return record;
+}
+
+function removeGraphicsExcept(ids) {
+  shown.forEach((record, id) => {
+    if (ids.has(id)) return;
+    overlayLayer?.remove(record.graphic);
+    shown.delete(id);
+  });
+}
+
+function entryState(entry) {
+  return {
+    geometry: entry.geometry,
+    symbol: entry.symbol ?? DEFAULT_SYMBOLS[geometryType(entry.geometry)] ?? DEFAULT_SYMBOLS.point,
+    opacity: entry.opacity ?? 1,
+    scale: entry.scale ?? 1,
+  };
+}
+
+function interpolateState(from, to, t) {
+  // Geometries in different spatial references (or of different shapes) switch at the next state
+  const sameReference = JSON.stringify(from.geometry?.spatialReference) === JSON.stringify(to.geometry?.spatialReference);
+  return {
+    geometry: from.geometry && to.geometry && sameReference ? interpolateJSON(from.geometry, to.geometry, t) : from.geometry,
+    symbol: from.symbol.type === to.symbol.type ? interpolateJSON(from.symbol, to.symbol, t) : from.symbol,
+    opacity: lerp(from.opacity, to.opacity, t),
+    scale: lerp(from.scale, to.scale, t),
+  };
+}
+
+function setState(mapView, record, state, progress) {
+  record.state = state;
+  const { along } = record.entry;
+
+  if (along) {
+    const fraction = (along.start ?? 0) + ((along.end ?? 1) - (along.start ?? 0)) * progress;
+    pointAlongRoute(mapView, along, fraction)
+      .then((point) => {
+        // The graphic may have been removed while the route loaded
+        if (point && shown.get(record.entry.id) === record) record.graphic.geometry = point;
+      })
+      .catch((error) => {
+        console.error(`Failed to place graphic '${record.entry.id}' along its route:`, error);
+      });
+  } else {
+    const geometryKey = JSON.stringify(state.geometry);
+    if (record.geometryKey !== geometryKey) {
+      record.graphic.geometry = geometryJsonUtils.fromJSON(state.geometry);
+      record.geometryKey = geometryKey;
+    }
+  }
+  renderSymbol(record);
+}
+
+// Assigns the record's symbol with its opacity, scale and pulse applied, when it changed
+function renderSymbol(record) {
+  const { symbol, opacity, scale } = record.state;
+  const pulse = record.entry.pulse && pulseFrame !== null ? pulseAt(performance.now()) : { opacity: 1, scale: 1 };
+  const symbolJSON = styleSymbol(symbol, opacity * pulse.opacity, scale * pulse.scale);
+
+  const symbolKey = JSON.stringify(symbolJSON);
+  if (record.symbolKey === symbolKey) return;
+  record.graphic.symbol = symbolJsonUtils.fromJSON(symbolJSON);
+  record.symbolKey = symbolKey;
+}
+
+// Scales the sizes and line widths of a symbol in web map JSON and fades its colors
+function styleSymbol(symbol, opacity, scale) {
+  const styled = structuredClone(symbol);
+  const fade = (color) => (Array.isArray(color)
+    ? [...color.slice(0, 3).map(Math.round), Math.round((color[3] ?? 255) * opacity)]
+    : color);
+
+  styled.color = fade(styled.color);
+  if (styled.haloColor) styled.haloColor = fade(styled.haloColor);
+  if (typeof styled.size === "number") styled.size *= scale;
+  if (typeof styled.width === "number") styled.width *= scale;
+  if (typeof styled.height === "number") styled.height *= scale;
+  if (typeof styled.font?.size === "number") styled.font.size *= scale;
+  if (styled.outline) {
+    styled.outline.color = fade(styled.outline.color);
+    if (typeof styled.outline.width === "number") styled.outline.width *= scale;
+  }
+  return styled;
+}
+
+// --- Pulse ---
+
+// Pulsing graphics grow and fade out once per period, unless the reader prefers reduced motion
+function updatePulse() {
+  const pulsing = [...shown.values()].some((record) => record.entry.pulse) && !prefersReducedMotion();
+  if (pulsing && pulseFrame === null) {
+    const frame = () => {
+      shown.forEach((record) => {
+        if (record.entry.pulse) renderSymbol(record);
+      });
+      pulseFrame = requestAnimationFrame(frame);
+    };
+    pulseFrame = requestAnimationFrame(frame);
+  } else if (!pulsing && pulseFrame !== null) {
+    cancelAnimationFrame(pulseFrame);
+    pulseFrame = null;
+    shown.forEach((record) => {
+      if (record.entry.pulse) renderSymbol(record);
+    });
+  }
+}
+
+function pulseAt(time) {
+  const wave = (1 - Math.cos((2 * Math.PI * (time % PULSE_PERIOD)) / PULSE_PERIOD)) / 2;
+  return { opacity: 1 - 0.6 * wave, scale: 1 + 0.6 * wave };
+}
+
+// --- Helpers ---
+
+// The overlay layer, added on top of the view's map
+function overlayFor(mapView) {
+  const map = mapView?.map;
+  if (!map) return null;
+  overlayLayer ??= new GraphicsLayer({ title: "Story graphics", listMode: "hide" });
+  if (!map.layers.includes(overlayLayer)) map.add(overlayLayer);
+  else if (map.layers.indexOf(overlayLayer) !== map.layers.length - 1) map.reorder(overlayLayer, map.layers.length - 1);
+  return overlayLayer;
+}
+
+// Expands a graphics list into entries with an id and Esri JSON geometry; a GeoJSON
+// feature collection gives one entry per feature
+function normalizeGraphics(graphics) {
+  if (!Array.isArray(graphics)) return [];
+  if (!normalizedLists.has(graphics)) {
+    normalizedLists.set(graphics, graphics.flatMap((graphic, index) => {
+      const id = graphic.id ?? String(index);
+      if (!graphic.geojson) {
+        const geometry = graphic.geometry && { spatialReference: WGS84, ...graphic.geometry };
+        return [{ ...graphic, id, geometry }];
+      }
+      const features = fromGeoJSON(graphic.geojson);
+      return features.map(({ geometry, attributes }, featureIndex) => ({
+        ...graphic,
+        id: features.length > 1 ? `${id}/${featureIndex}` : id,
+        geometry,
+        attributes: { ...attributes, ...graphic.attributes },
+      }));
+    }));
+  }
+  return normalizedLists.get(graphics);
+}
+
+function fromGeoJSON(geojson) {
+  if (geojson.type === "FeatureCollection") return geojson.features.flatMap(fromGeoJSON);
+  if (geojson.type === "Feature") return geojson.geometry ? [{ geometry: geoJSONGeometry(geojson.geometry), attributes: geojson.properties }] : [];
+  return [{ geometry: geoJSONGeometry(geojson) }];
+}
+
+// GeoJSON polygon rings run counterclockwise and Esri JSON rings clockwise, so rings are reversed
+function geoJSONGeometry({ type, coordinates }) {
+  const reverseRings = (rings) => rings.map((ring) => [...ring].reverse());
+  switch (type) {
+    case "Point": {
+      const [x, y, z] = coordinates;
+      return { x, y, ...(z !== undefined && { z }), spatialReference: WGS84 };
+    }
+    case "MultiPoint": return { points: coordinates, spatialReference: WGS84 };
+    case "LineString": return { paths: [coordinates], spatialReference: WGS84 };
+    case "MultiLineString": return { paths: coordinates, spatialReference: WGS84 };
+    case "Polygon": return { rings: reverseRings(coordinates), spatialReference: WGS84 };
+    case "MultiPolygon": return { rings: coordinates.flatMap(reverseRings), spatialReference: WGS84 };
+    default: throw new Error(`Unsupported GeoJSON geometry type: ${type}`);
+  }
+}
+
+function geometryType(geometry) {
+  if (!geometry) return null;
+  if ("paths" in geometry) return "polyline";
+  if ("rings" in geometry) return "polygon";
+  return "point";
+}
@@ -0,0 +1,212 @@
+// Path-following camera for the followPath choreography key.
+// Scroll progress maps to distance along a polyline, given inline or as a feature of a
+// layer, and the view moves to that point of the route: in 2D centered at a fixed scale,
+// optionally rotated so the route heads up the screen; in 3D with the camera above the
+// point, looking ahead along the route.
+//   "followPath": {
+//     "layer": "Yosemite Hiking Route", "objectId": 1,
+//     "lookAhead": 0.02, "tilt": 70, "altitude": 400, "scale": 20000, "rotate": true
+//   }
+// Inline geometry is polyline JSON, in WGS84 unless it names its spatialReference.
+// Routes are loaded once and measured in meters on the ground, so the camera moves at a
+// steady pace whatever the projection.
+
+import Camera from "@arcgis/core/Camera.js";
+import Point from "@arcgis/core/geometry/Point.js";
+import Polyline from "@arcgis/core/geometry/Polyline.js";
+import * as projectOperator from "@arcgis/core/geometry/operators/projectOperator.js";
+
+import { resolveLayer } from "./layers.js";
+import { navigateTo } from "./navigation.js";
+
+const EARTH_RADIUS = 6378137;
+const DEG = Math.PI / 180;
+const DEFAULTS = { start: 0, end: 1, lookAhead: 0.01, tilt: 65, altitude: 500, rotate: false };
+
+// Measured routes (or null when the route cannot be loaded), by followPath block and view
+const routes = new Map();
+// Latest follow request, so a route that finishes loading only moves the view for the latest update
+let latestRequest = null;
+
+/**
+ * Moves the view to the point at `progress` (0–1) along the route of a followPath block,
+ * between its `start` and `end` fractions of the route. Loads the route on first use.
+ * Like navigateTo, resolves to true once the view arrives (or when there is no route
+ * to follow), and to false when a newer update supersedes this one.
+ */
+export async function followPath(mapView, followPathBlock, progress, goToOptions = { animate: false }) {
+  const request = (latestRequest = {});
+  const route = await loadRoute(mapView, followPathBlock);
+  if (request !== latestRequest) return false;
+  if (!route) return true;
+  return navigateTo(mapView, routeTarget(mapView, { ...DEFAULTS, ...followPathBlock }, route, progress), goToOptions);
+}
+
+/**
+ * Moves the view to show the whole route of a followPath block, for readers who prefer
+ * reduced motion. Resolves like followPath.
+ */
+export async function frameRoute(mapView, followPathBlock) {
+  const request = (latestRequest = {});
+  const route = await loadRoute(mapView, followPathBlock);
+  if (request !== latestRequest) return false;
+  if (!route) return true;
+  return navigateTo(mapView, route.polyline);
+}
+
+/**
+ * Returns the point at a fraction (0–1) of the length of a route referenced as in a
+ * followPath block ({ layer, objectId } or { geometry }), or null when the route
+ * cannot be loaded.
+ */
+export async function pointAlongRoute(mapView, routeBlock, fraction) {
+  const route = await loadRoute(mapView, routeBlock);
+  if (!route) return null;
+  const [x, y, z] = positionAt(route, fraction);
+  return new Point({ x, y, ...(route.polyline.hasZ && { z }), spatialReference: route.spatialReference });
+}
+
+// --- Route loading ---
+
+function loadRoute(mapView, followPathBlock) {
+  const { layer, objectId, geometry } = followPathBlock;
+  const key = JSON.stringify([layer, objectId, geometry, mapView.type, mapView.spatialReference?.toJSON()]);
+  if (!routes.has(key)) {
+    routes.set(key, fetchRoute(mapView, followPathBlock)
+      .then((polyline) => (polyline ? measureRoute(polyline) : null))
+      .catch((error) => {
+        console.error("Failed to load the followPath route:", error);
+        return null;
+      }));
+  }
+  return routes.get(key);
+}
+
+// Returns the route polyline in the view's spatial reference, with ground elevation in 3D
+async function fetchRoute(mapView, followPathBlock) {
+  let polyline = followPathBlock.geometry
+    ? Polyline.fromJSON({ spatialReference: { wkid: 4326 }, ...followPathBlock.geometry })
+    : await queryRoute(mapView, followPathBlock);
+  if (!polyline) return null;
+
+  if (!polyline.spatialReference.equals(mapView.spatialReference)) {
+    if (!projectOperator.isLoaded()) await projectOperator.load();
+    polyline = projectOperator.execute(polyline, mapView.spatialReference);
+  }
+  // The altitude offset is measured from the ground under a route without z-values
+  if (mapView.type === "3d" && !polyline.hasZ && mapView.map?.ground) {
+    polyline = (await mapView.map.ground.queryElevation(polyline)).geometry;
+  }
+  return polyline;
+}
+
+async function queryRoute(mapView, { layer: reference, objectId }) {
+  const layer = resolveLayer(mapView, reference);
+  if (!layer) return null;
+
+  const query = layer.createQuery();
+  query.objectIds = [objectId];
+  query.returnGeometry = true;
+  query.outSpatialReference = mapView.spatialReference;
+  const { features } = await layer.queryFeatures(query);
+
+  const geometry = features[0]?.geometry;
+  if (geometry?.type !== "polyline") {
+    console.warn(`No polyline feature with id ${objectId} in '${reference}' to follow.`);
+    return null;
+  }
+  return geometry;
+}
+
+// --- Route geometry ---
+
+// Splits the route into segments with their distance from the start of the route
+function measureRoute(polyline) {
+  const { spatialReference, hasZ } = polyline;
+  const segments = [];
+  let length = 0;
+
+  polyline.paths.forEach((path) => {
+    for (let i = 1; i < path.length; i++) {
+      const from = vertex(path[i - 1], hasZ);
+      const to = vertex(path[i], hasZ);
+      const segmentLength = groundDistance(from, to, spatialReference);
+      if (segmentLength === 0) continue;
+      segments.push({ from, to, start: length, length: segmentLength });
+      length += segmentLength;
+    }
+  });
+
+  return segments.length ? { polyline, spatialReference, segments, length } : null;
+}
+
+// Returns the [x, y, z] position at a fraction (0–1) of the route's length
+function positionAt(route, fraction) {
+  const distance = Math.min(Math.max(fraction, 0), 1) * route.length;
+  const { segments } = route;
+
+  // Last segment starting at or before the distance
+  let low = 0;
+  let high = segments.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (segments[middle].start <= distance) low = middle;
+    else high = middle - 1;
+  }
+
+  const { from, to, start, length } = segments[low];
+  const t = Math.min((distance - start) / length, 1);
+  return from.map((value, index) => value + (to[index] - value) * t);
+}
+
+// Builds the goTo target placing the view at a progress along the route
+function routeTarget(mapView, settings, route, progress) {
+  const fraction = settings.start + (settings.end - settings.start) * progress;
+  const [x, y, z] = positionAt(route, fraction);
+  const position = new Point({ x, y, z, spatialReference: route.spatialReference });
+
+  // Heading toward a point a little further along the route (or from a point behind it, at the end)
+  const span = Math.max(settings.lookAhead, 1e-3) * Math.sign(settings.end - settings.start || 1);
+  const ahead = Math.min(Math.max(fraction + span, 0), 1);
+  const heading = bearing(positionAt(route, ahead - span), positionAt(route, ahead), route.spatialReference);
+
+  if (mapView.type === "3d") {
+    return new Camera({
+      position: position.clone().set({ z: (z || 0) + settings.altitude }),
+      heading,
+      tilt: settings.tilt,
+    });
+  }
+  return {
+    center: position,
+    scale: settings.scale ?? mapView.scale,
+    // Rotating the map by the negated heading points the route up the screen
+    ...(settings.rotate && { rotation: (360 - heading) % 360 }),
+  };
+}
+
+function vertex([x, y, z], hasZ) {
+  return [x, y, hasZ ? z : 0];
+}
+
+// Distance in meters between two positions in a geographic, Web Mercator or projected spatial reference
+function groundDistance([x0, y0], [x1, y1], spatialReference) {
+  if (spatialReference.isGeographic) {
+    const k = Math.cos(((y0 + y1) / 2) * DEG);
+    return Math.hypot((x1 - x0) * k, y1 - y0) * DEG * EARTH_RADIUS;
+  }
+  const distance = Math.hypot(x1 - x0, y1 - y0);
+  // Web Mercator stretches distances by 1 / cos(latitude)
+  if (spatialReference.isWebMercator) return distance * Math.cos(mercatorLatitude((y0 + y1) / 2));
+  return distance;
+}
+
+// Compass bearing in degrees (clockwise from north) from one position to another
+function bearing([x0, y0], [x1, y1], spatialReference) {
+  const k = spatialReference.isGeographic ? Math.cos(((y0 + y1) / 2) * DEG) : 1;
+  return ((Math.atan2((x1 - x0) * k, y1 - y0) / DEG) + 360) % 360;
+}
+
+function mercatorLatitude(y) {
+  return 2 * Math.atan(Math.exp(y / EARTH_RADIUS)) - Math.PI / 2;
+}
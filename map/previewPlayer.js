@@ -0,0 +1,143 @@
+// Standalone preview player for authoring choreographies without a StoryMap.
+// Opening the map page with ?preview adds a slide list, a scrubber over the whole
+// story, play/pause and a speed control. The player emits the same
+// { slide, progress } updates the story sends while the reader scrolls.
+
+import { element } from "./dom.js";
+
+const SECONDS_PER_SLIDE = 4; // playback time of one slide at 1x speed
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Returns true when the map page was opened with the `preview` query parameter.
+ */
+export function isPreviewMode() {
+  return new URLSearchParams(window.location.search).has("preview");
+}
+
+/**
+ * Builds the preview controls over the map and calls onProgress({ slide, progress })
+ * whenever the position changes by scrubbing, playback or picking a slide.
+ * The position runs from 0 to the slide count: its integer part is the slide and its
+ * fraction the progress through that slide, so the end of the scrubber is the last
+ * slide at progress 1.
+ * `onReload`, when given, adds a button to reload the choreography file.
+ * Returns { setSlides, seek } to refresh the slide list and move the position.
+ */
+export function createPreviewPlayer(parent, { slides, startSlide = 0, onProgress, onReload }) {
+  let position = 0;
+  let speed = 1;
+  let playing = false;
+  let frame = null;
+  let lastFrameTime = null;
+  let lastSlide = null;
+
+  const root = element("div", "preview-player");
+  const slideList = element("ol", "preview-slides");
+  const controls = element("div", "preview-controls");
+  const playButton = element("button", "preview-play", "Play");
+  const scrubber = element("input", "preview-scrubber");
+  const speedSelect = element("select", "preview-speed");
+  const status = element("span", "preview-status");
+
+  scrubber.type = "range";
+  scrubber.min = "0";
+  scrubber.step = "0.001";
+  scrubber.setAttribute("aria-label", "Story position");
+  speedSelect.setAttribute("aria-label", "Playback speed");
+  SPEEDS.forEach((value) => {
+    const option = element("option", null, `${value}×`);
+    option.value = String(value);
+    option.selected = value === speed;
+    speedSelect.appendChild(option);
+  });
+
+  controls.append(playButton, scrubber, speedSelect, status);
+  if (onReload) {
+    const reloadButton = element("button", "preview-reload", "Reload choreography");
+    reloadButton.addEventListener("click", () => onReload());
+    controls.appendChild(reloadButton);
+  }
+  root.append(slideList, controls);
+  parent.appendChild(root);
+
+  playButton.addEventListener("click", () => (playing ? pause() : play()));
+  scrubber.addEventListener("input", () => {
+    pause();
+    seek(Number(scrubber.value));
+  });
+  speedSelect.addEventListener("change", () => {
+    speed = Number(speedSelect.value);
+  });
+
+  function maxPosition() {
+    return slides.length;
+  }
+
+  // Moves to a position and emits it as slide and progress
+  function seek(value) {
+    position = Math.min(Math.max(value, 0), maxPosition());
+    // The end of the story is the end of the last slide
+    const slide = Math.max(0, Math.min(Math.floor(position), slides.length - 1));
+    const progress = Math.min(position - slide, 1);
+
+    scrubber.value = String(position);
+    status.textContent = `Slide ${slide} · ${Math.round(progress * 100)}%`;
+    if (slide !== lastSlide) {
+      lastSlide = slide;
+      Array.from(slideList.children).forEach((item, index) => item.classList.toggle("active", index === slide));
+    }
+    onProgress({ slide, progress });
+  }
+
+  function play() {
+    if (playing) return;
+    if (position >= maxPosition()) seek(0);
+    playing = true;
+    playButton.textContent = "Pause";
+    lastFrameTime = null;
+    frame = requestAnimationFrame(tick);
+  }
+
+  function pause() {
+    if (!playing) return;
+    playing = false;
+    playButton.textContent = "Play";
+    if (frame !== null) cancelAnimationFrame(frame);
+    frame = null;
+  }
+
+  function tick(now) {
+    const elapsed = lastFrameTime === null ? 0 : now - lastFrameTime;
+    lastFrameTime = now;
+    seek(position + (elapsed / 1000) * (speed / SECONDS_PER_SLIDE));
+
+    if (position >= maxPosition()) pause();
+    else frame = requestAnimationFrame(tick);
+  }
+
+  // Rebuilds the slide list, e.g. after the choreography is reloaded
+  function setSlides(nextSlides) {
+    slides = nextSlides;
+    slideList.replaceChildren(
+      ...slides.map((slide, index) => {
+        const item = element("li");
+        const button = element("button", null, `Slide ${index}`);
+        button.addEventListener("click", () => {
+          pause();
+          seek(index);
+        });
+        item.appendChild(button);
+        return item;
+      })
+    );
+    scrubber.max = String(maxPosition());
+    lastSlide = null;
+    seek(position);
+  }
+
+  setSlides(slides);
+  seek(startSlide);
+
+  return { setSlides, seek };
+}
@@ -0,0 +1,109 @@
+// Frame-coalesced rendering of scroll progress.
+// The story can post progress many times per frame; rendering each one would
+// start more map updates than the view can draw. The render loop keeps only the
+// latest progress and renders it once per animation frame, optionally easing
+// toward it over several frames.
+
+const FRAME_MS = 1000 / 60;
+const SETTLE_EPSILON = 0.0005; // progress closer than this to the target snaps onto it
+const STATS_EVERY_FRAMES = 120;
+
+/**
+ * Creates a render loop that calls render({ slide, progress }) at most once per
+ * animation frame, with the latest progress requested.
+ * `damping` (0 to under 1) smooths the rendered progress toward the requested one
+ * instead of jumping to it; higher values are smoother and slower. A slide change
+ * is always rendered at once.
+ * With `logFrameTimes`, render time and frame interval statistics are logged
+ * every STATS_EVERY_FRAMES frames and whenever the loop goes idle.
+ */
+export function createRenderLoop(render, { damping = 0, logFrameTimes = false } = {}) {
+  let target = null;
+  let current = null;
+  let frame = null;
+  let lastFrameTime = null;
+  let stats = emptyStats();
+
+  function request(payload) {
+    target = payload;
+    stats.requests++;
+    if (frame === null) frame = requestAnimationFrame(tick);
+  }
+
+  function tick(now) {
+    frame = null;
+    if (lastFrameTime !== null) recordInterval(stats, now - lastFrameTime);
+    const elapsed = lastFrameTime === null ? FRAME_MS : now - lastFrameTime;
+    lastFrameTime = now;
+
+    current = stepToward(current, target, damping, elapsed);
+
+    const renderStart = performance.now();
+    try {
+      render(current);
+    } catch (error) {
+      console.error("Failed to render scroll progress:", error);
+    }
+    recordRender(stats, performance.now() - renderStart);
+
+    const settled = current.progress === target.progress;
+    if (!settled) frame = requestAnimationFrame(tick);
+    else lastFrameTime = null;
+
+    if (logFrameTimes && (settled || stats.frames >= STATS_EVERY_FRAMES)) {
+      logStats(stats);
+      stats = emptyStats();
+    }
+  }
+
+  // Stops rendering until the next request, forgetting the progress being eased
+  function cancel() {
+    if (frame !== null) cancelAnimationFrame(frame);
+    frame = null;
+    lastFrameTime = null;
+    current = null;
+  }
+
+  return { request, cancel };
+}
+
+// --- Helpers ---
+
+// Moves the rendered progress toward the target, frame-rate independently
+function stepToward(current, target, damping, elapsed) {
+  if (!current || current.slide !== target.slide || !(damping > 0)) return { ...target };
+
+  const remaining = Math.pow(Math.min(damping, 0.99), elapsed / FRAME_MS);
+  const progress = target.progress + (current.progress - target.progress) * remaining;
+  return {
+    ...target,
+    progress: Math.abs(progress - target.progress) < SETTLE_EPSILON ? target.progress : progress,
+  };
+}
+
+function emptyStats() {
+  return { frames: 0, requests: 0, renderTotal: 0, renderMax: 0, intervals: 0, intervalTotal: 0, intervalMax: 0 };
+}
+
+function recordRender(stats, duration) {
+  stats.frames++;
+  stats.renderTotal += duration;
+  stats.renderMax = Math.max(stats.renderMax, duration);
+}
+
+function recordInterval(stats, interval) {
+  stats.intervals++;
+  stats.intervalTotal += interval;
+  stats.intervalMax = Math.max(stats.intervalMax, interval);
+}
+
+function logStats(stats) {
+  const ms = (value) => value.toFixed(1);
+  const intervals = stats.intervals
+    ? `frame interval avg ${ms(stats.intervalTotal / stats.intervals)} ms / max ${ms(stats.intervalMax)} ms`
+    : "single frame";
+  console.log(
+    `Render loop: ${stats.frames} frame(s) for ${stats.requests} update(s), ` +
+    `render avg ${ms(stats.renderTotal / stats.frames)} ms / max ${ms(stats.renderMax)} ms, ${intervals}`
+  );
+}
@@ -0,0 +1,73 @@
+// Keyboard-accessible slide navigation for the standalone map page.
+// Adds previous/next buttons and announces each slide in an ARIA live region,
+// using the slide's optional `description`. PageUp/PageDown and Home/End move
+// between slides from anywhere on the page except form fields.
+
+import { element } from "./dom.js";
+
+const FORM_FIELDS = new Set(["INPUT", "SELECT", "TEXTAREA"]);
+
+/**
+ * Builds the slide controls and calls onNavigate(index) when the reader asks for
+ * another slide. `getSlides` returns the current slides. Returns { show, setVisible }:
+ * `show(index)` marks the slide shown on the map and announces it.
+ */
+export function createSlideControls(parent, { getSlides, onNavigate }) {
+  let current = 0;
+
+  const root = element("nav", "slide-controls");
+  root.setAttribute("aria-label", "Slides");
+  const prevButton = element("button", "slide-controls-prev", "Previous");
+  const position = element("span", "slide-controls-position");
+  const nextButton = element("button", "slide-controls-next", "Next");
+  prevButton.setAttribute("aria-label", "Previous slide");
+  nextButton.setAttribute("aria-label", "Next slide");
+  position.setAttribute("aria-hidden", "true");
+
+  const liveRegion = element("div", "visually-hidden");
+  liveRegion.setAttribute("role", "status");
+  liveRegion.setAttribute("aria-live", "polite");
+
+  root.append(prevButton, position, nextButton);
+  parent.append(root, liveRegion);
+
+  const go = (index) => {
+    const count = getSlides().length;
+    if (index < 0 || index >= count || index === current) return;
+    onNavigate(index);
+  };
+
+  prevButton.addEventListener("click", () => go(current - 1));
+  nextButton.addEventListener("click", () => go(current + 1));
+  document.addEventListener("keydown", (event) => {
+    if (root.hidden || event.altKey || event.ctrlKey || event.metaKey) return;
+    if (FORM_FIELDS.has(event.target?.tagName) || event.target?.isContentEditable) return;
+    const targets = {
+      PageDown: current + 1,
+      PageUp: current - 1,
+      Home: 0,
+      End: getSlides().length - 1,
+    };
+    if (!(event.key in targets)) return;
+    event.preventDefault();
+    go(targets[event.key]);
+  });
+
+  function show(index) {
+    const slides = getSlides();
+    current = index;
+    prevButton.disabled = index <= 0;
+    nextButton.disabled = index >= slides.length - 1;
+    position.textContent = `${index + 1} / ${slides.length}`;
+
+    const description = slides[index]?.description;
+    liveRegion.textContent = `Slide ${index + 1} of ${slides.length}${description ? `: ${description}` : ""}`;
+  }
+
+  function setVisible(visible) {
+    root.hidden = !visible;
+    liveRegion.hidden = !visible;
+  }
+
+  return { show, setVisible };
+}
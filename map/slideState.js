@@ -0,0 +1,233 @@
+import { slideBaseState } from "./keyframes.js";
+import { resolveLayers } from "./layers.js";
+import { captureLayerTime, captureTime } from "./timeControl.js";
+import { captureEnvironment } from "./environment.js";
+
+// Resolved slide state: what the map should look like on slide N, inheriting
+// everything earlier slides set, so any slide can be reached directly
+// (hash jump, backward scroll) with the same result as reading from the top.
+//
+// Keys fall into three groups:
+// - per-layer keys hold one entry per layer reference and inherit entry by entry;
+//   entries start from a baseline captured from the web map, so layers a later
+//   slide changes are put back when jumping to an earlier slide. The web map's state
+//   is captured once per view, before any slide is applied, so loading another
+//   choreography later still starts from the web map and not from the slide on screen. A layerTime entry
+//   inherits setting by setting, so a slide can change a layer's offset alone.
+// - inherited keys keep the last value any earlier slide defined. Time and environment
+//   start from the view's own, so slides before the first one setting them put them back.
+// - slide-scoped keys only apply to the slide that defines them; their handlers
+//   clean up after them when the slide changes.
+// Slide settings (transition overrides) are kept on the slide's state for the
+// handlers to read, but are not inherited and never applied on their own.
+
+const PER_LAYER_KEYS = ["layerVisibility", "layerOpacity", "layerRenderer", "layerTime"];
+const INHERITED_KEYS = ["viewpoint", "timeSlider", "environment"];
+const SLIDE_SCOPED_KEYS = ["layerFilter", "featureHighlight", "trackRenderer", "followPath", "graphics"];
+const SLIDE_SETTINGS = ["goToConfig", "mapFit"];
+
+// The web map's own state by view: { layers: Map(layer → state), timeSlider, environment }
+const webMapStates = new WeakMap();
+
+/**
+ * Returns the web map's own state for every layer the choreography references
+ * in a per-layer key, and the view's time and environment when the choreography
+ * sets them, to serve as the state before any slide changed it.
+ * The first call for a view captures the state of all its layers, so call it
+ * before applying any slide.
+ */
+export function captureBaseline(mapView, slides, timeSlider) {
+  const baseline = { layerVisibility: {}, layerOpacity: {}, layerRenderer: {}, layerTime: {} };
+  if (!mapView?.map) return baseline;
+  const webMap = webMapState(mapView, timeSlider);
+
+  const setsKey = (key) => slides.some((slide) => slideBaseState(slide)?.[key] !== undefined);
+  if (setsKey("timeSlider")) baseline.timeSlider = webMap.timeSlider;
+  if (setsKey("environment")) baseline.environment = webMap.environment ?? undefined;
+
+  slides.forEach((slide) => {
+    const entries = layerEntries(slideBaseState(slide));
+    PER_LAYER_KEYS.forEach((key) => {
+      Object.keys(entries[key]).forEach((reference) => {
+        if (reference in baseline[key]) return;
+        const layer = resolveLayers(mapView, reference)[0];
+        const value = layer && layerState(webMap, layer)[key];
+        if (value !== undefined && value !== null) baseline[key][reference] = value;
+      });
+    });
+  });
+
+  return baseline;
+}
+
+/**
+ * Returns the target state with the web map's own values for the layers, time and
+ * environment the applied state sets and the target does not, e.g. those only
+ * another choreography (or the authoring tool's slides) changed.
+ */
+export function withWebMapState(mapView, applied, target) {
+  const webMap = mapView && webMapStates.get(mapView);
+  if (!applied || !webMap) return target;
+
+  const state = { ...target };
+  PER_LAYER_KEYS.forEach((key) => {
+    Object.keys(applied[key] || {}).forEach((reference) => {
+      if (reference in (state[key] || {})) return;
+      const layer = resolveLayers(mapView, reference)[0];
+      const value = layer && layerState(webMap, layer)[key];
+      if (value !== undefined && value !== null) state[key] = { ...state[key], [reference]: value };
+    });
+  });
+  if (applied.timeSlider && !state.timeSlider) state.timeSlider = webMap.timeSlider;
+  if (applied.environment && !state.environment && webMap.environment) state.environment = webMap.environment;
+  return state;
+}
+
+/**
+ * Resolves the full target state of every slide, each inheriting from the
+ * baseline and all previous slides.
+ */
+export function resolveSlideStates(slides, baseline = {}) {
+  const states = [];
+  let inherited = {
+    layerVisibility: { ...baseline.layerVisibility },
+    layerOpacity: { ...baseline.layerOpacity },
+    layerRenderer: { ...baseline.layerRenderer },
+    layerTime: { ...baseline.layerTime },
+    timeSlider: baseline.timeSlider,
+    environment: baseline.environment,
+  };
+
+  slides.forEach((slide) => {
+    const slideData = slideBaseState(slide) || {};
+    const entries = layerEntries(slideData);
+    const state = {};
+
+    PER_LAYER_KEYS.forEach((key) => {
+      state[key] = key === "layerTime"
+        ? mergeLayerTime(inherited.layerTime, entries.layerTime)
+        : { ...inherited[key], ...entries[key] };
+    });
+    INHERITED_KEYS.forEach((key) => {
+      const value = key === "environment"
+        ? mergeEnvironment(inherited.environment, slideData.environment)
+        : slideData[key] ?? inherited[key];
+      if (value !== undefined) state[key] = value;
+    });
+    [...SLIDE_SCOPED_KEYS, ...SLIDE_SETTINGS].forEach((key) => {
+      if (slideData[key] !== undefined) state[key] = slideData[key];
+    });
+
+    inherited = state;
+    states.push(state);
+  });
+
+  return states;
+}
+
+/**
+ * Computes the slide data needed to move the map from the applied state to the
+ * target state: changed per-layer entries, changed inherited keys and every
+ * slide-scoped key of the target. Per-layer keys are returned in the shape the
+ * slide handlers expect. With no applied state, the whole target is returned.
+ */
+export function diffSlideStates(applied, target) {
+  const diff = {};
+
+  PER_LAYER_KEYS.forEach((key) => {
+    const changed = {};
+    Object.entries(target[key] || {}).forEach(([reference, value]) => {
+      if (!applied || !sameValue(applied[key]?.[reference], value)) changed[reference] = value;
+    });
+    if (Object.keys(changed).length) diff[key] = key === "layerVisibility" ? toLayerVisibility(changed) : changed;
+  });
+
+  INHERITED_KEYS.forEach((key) => {
+    if (target[key] !== undefined && (!applied || !sameValue(applied[key], target[key]))) diff[key] = target[key];
+  });
+  // Following a route moves the view away from the inherited viewpoint, so it is applied again after one
+  if (applied?.followPath && !target.followPath && target.viewpoint !== undefined) diff.viewpoint = target.viewpoint;
+
+  SLIDE_SCOPED_KEYS.forEach((key) => {
+    if (target[key] !== undefined) diff[key] = target[key];
+  });
+
+  return diff;
+}
+
+// --- Helpers ---
+
+function webMapState(mapView, timeSlider) {
+  if (!webMapStates.has(mapView)) {
+    const webMap = {
+      layers: new Map(),
+      timeSlider: captureTime(mapView, timeSlider),
+      environment: captureEnvironment(mapView),
+    };
+    // Every layer and sublayer a choreography reference can resolve to
+    mapView.map.allLayers.forEach((layer) => {
+      layerState(webMap, layer);
+      layer.allSublayers?.forEach((sublayer) => layerState(webMap, sublayer));
+    });
+    webMapStates.set(mapView, webMap);
+  }
+  return webMapStates.get(mapView);
+}
+
+// A layer's captured state; layers added to the map later are captured when first referenced
+function layerState(webMap, layer) {
+  if (!webMap.layers.has(layer)) {
+    webMap.layers.set(layer, {
+      layerVisibility: layer.visible,
+      layerOpacity: layer.opacity,
+      layerRenderer: layer.renderer?.toJSON() ?? null,
+      layerTime: captureLayerTime(layer),
+    });
+  }
+  return webMap.layers.get(layer);
+}
+
+// Flattens a slide's per-layer keys into { reference: value } entries
+function layerEntries(slideData) {
+  const visibility = {};
+  (slideData?.layerVisibility?.layersOn || []).forEach((reference) => { visibility[reference] = true; });
+  (slideData?.layerVisibility?.layersOff || []).forEach((reference) => { visibility[reference] = false; });
+  return {
+    layerVisibility: visibility,
+    layerOpacity: { ...slideData?.layerOpacity },
+    layerRenderer: { ...slideData?.layerRenderer },
+    layerTime: { ...slideData?.layerTime },
+  };
+}
+
+function toLayerVisibility(entries) {
+  const layersOn = [];
+  const layersOff = [];
+  Object.entries(entries).forEach(([reference, visible]) => (visible ? layersOn : layersOff).push(reference));
+  return { layersOn, layersOff };
+}
+
+// Environment is applied as a partial update, so lighting and weather merge property by property
+function mergeEnvironment(inherited, environment) {
+  if (!environment) return inherited;
+  if (!inherited) return environment;
+  return {
+    ...inherited,
+    ...environment,
+    lighting: { ...inherited.lighting, ...environment.lighting },
+    weather: { ...inherited.weather, ...environment.weather },
+  };
+}
+
+// Layer time settings are applied as a partial update, so they merge setting by setting
+function mergeLayerTime(inherited, layerTime) {
+  const merged = { ...inherited };
+  Object.entries(layerTime).forEach(([reference, settings]) => {
+    merged[reference] = { ...inherited[reference], ...settings };
+  });
+  return merged;
+}
+
+function sameValue(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,94 @@
+// Time shared by the slide and scroll handlers.
+// Time is set on the view (mapView.timeExtent), so time choreography works with or
+// without the arcgis-time-slider widget; when the widget is on the page it shows the
+// same time and plays it back. Layers can also be given their own time settings
+// (`layerTime`), e.g. a layer shifted back in time for a "then vs now" comparison.
+
+import { resolveTimeZone, timeExtentAt } from "./calendar.js";
+
+/**
+ * Shows a time (epoch milliseconds) on the view, and on the time slider widget when
+ * there is one: cumulative from the start, or the `timeWindow` of the slide's
+ * timeSlider block ending at the time.
+ */
+export function showTime(mapView, timeSlider, timeBlock, time) {
+  const timeExtent = timeExtentAt(time, timeBlock.timeWindow, resolveTimeZone(timeBlock.timeZone, mapView));
+  if (mapView) mapView.timeExtent = timeExtent;
+  if (timeSlider) timeSlider.timeExtent = timeExtent;
+}
+
+/**
+ * Captures the view's time extent and the time slider widget's settings before any
+ * slide changed them, as a timeSlider state whose `baseline` restoreTime puts back.
+ */
+export function captureTime(mapView, timeSlider) {
+  const interval = timeSlider?.stops?.interval;
+  return {
+    baseline: {
+      timeExtent: extentJSON(mapView.timeExtent),
+      widget: timeSlider
+        ? {
+            fullTimeExtent: extentJSON(timeSlider.fullTimeExtent),
+            timeExtent: extentJSON(timeSlider.timeExtent),
+            mode: timeSlider.mode,
+            interval: interval ? { value: interval.value, unit: interval.unit } : null,
+          }
+        : null,
+    },
+  };
+}
+
+/**
+ * Puts back the view's time extent and the time slider widget's settings captured by
+ * captureTime, stopping the widget's playback.
+ */
+export function restoreTime(mapView, timeSlider, baseline) {
+  if (mapView) mapView.timeExtent = extentFromJSON(baseline.timeExtent);
+  const { widget } = baseline;
+  if (!timeSlider || !widget) return;
+
+  timeSlider.stop();
+  if (widget.fullTimeExtent) timeSlider.fullTimeExtent = extentFromJSON(widget.fullTimeExtent);
+  if (widget.mode) timeSlider.mode = widget.mode;
+  if (widget.interval) timeSlider.stops = { interval: widget.interval };
+  timeSlider.timeExtent = extentFromJSON(widget.timeExtent);
+}
+
+/**
+ * Returns a layer's time settings in the shape of a `layerTime` entry, to serve as
+ * its state before any slide changed it.
+ */
+export function captureLayerTime(layer) {
+  const { timeExtent, timeOffset, useViewTime } = layer;
+  const settings = {
+    timeExtent: extentJSON(timeExtent),
+    timeOffset: timeOffset ? { value: timeOffset.value, unit: timeOffset.unit } : null,
+  };
+  if (typeof useViewTime === "boolean") settings.useViewTime = useViewTime;
+  return settings;
+}
+
+/**
+ * Applies a `layerTime` entry to a layer:
+ * - `timeExtent`: the layer's own time extent, which limits its data within the view's time;
+ * - `timeOffset`: shifts the layer's data in time, e.g. { "value": 20, "unit": "years" }
+ *   shows data from twenty years before the view's time;
+ * - `useViewTime`: false keeps the layer on its own time extent whatever the view's time.
+ * Null removes the layer's extent or offset.
+ */
+export function applyLayerTime(layer, settings) {
+  if ("timeExtent" in settings) layer.timeExtent = extentFromJSON(settings.timeExtent);
+  if ("timeOffset" in settings) layer.timeOffset = settings.timeOffset ?? null;
+  if (typeof settings.useViewTime === "boolean") layer.useViewTime = settings.useViewTime;
+}
+
+// Time extents are kept in the slide states as { start, end } ISO strings (or null)
+function extentJSON(timeExtent) {
+  if (!timeExtent) return null;
+  return { start: timeExtent.start?.toISOString() ?? null, end: timeExtent.end?.toISOString() ?? null };
+}
+
+function extentFromJSON(extent) {
+  if (!extent) return null;
+  return { start: extent.start ? new Date(extent.start) : null, end: extent.end ? new Date(extent.end) : null };
+}
@@ -0,0 +1,103 @@
+import { resolveLayer } from "./layers.js";
+
+// Per-slide track renderers, applied to their layer in place.
+// The layer is never removed or reloaded, so it keeps its data, highlights and filters:
+// the track id field (and interval) of its timeInfo and its trackInfo (latest and
+// previous observations, track lines) are assigned on the layer as it is, and put back
+// when a slide without the layer's trackRenderer is shown.
+//   {
+//     "trackLayerName": "Hurricanes",
+//     "trackFieldName": "storm_id",
+//     "interval": { "value": 6, "unit": "hours" },
+//     "trackInfo": { "maxDisplayObservationsPerTrack": 1, "trackLines": { "visible": true, ... } }
+//   }
+// Without its own `interval`, the layer steps by the slide's timeSlider interval, or keeps its own.
+
+// Layers showing a choreography track renderer, mapped to their original settings
+const trackedLayers = new Map();
+// Incremented when track renderers are restored, so a slide left while its layer loads does not apply
+let generation = 0;
+
+/**
+ * Applies a slide's trackRenderer to its layer once the layer has loaded, making the
+ * layer visible. `timeBlock` is the slide's timeSlider block, if any.
+ * Resolves once the track renderer is applied.
+ */
+export async function applyTrackRenderer(mapView, trackRenderer, timeBlock) {
+  const layer = resolveLayer(mapView, trackRenderer.trackLayerName);
+  if (!layer) return;
+
+  const requested = generation;
+  await layer.when();
+  if (requested !== generation) return;
+
+  if (!layer.timeInfo) {
+    console.warn(`Layer '${layer.title}' is not time-aware; its track renderer needs a time field.`);
+    return;
+  }
+  if (!trackedLayers.has(layer)) {
+    trackedLayers.set(layer, {
+      original: { timeInfo: layer.timeInfo.clone(), trackInfo: layer.trackInfo?.clone() ?? null },
+      timeInfoKey: null,
+      trackInfoKey: null,
+    });
+  }
+  const state = trackedLayers.get(layer);
+
+  // Reassigning timeInfo redraws the layer, so only do it when the track settings change
+  const interval = trackRenderer.interval ?? timeBlockInterval(timeBlock);
+  const timeInfoKey = JSON.stringify([trackRenderer.trackFieldName, interval]);
+  if (state.timeInfoKey !== timeInfoKey) {
+    const timeInfo = layer.timeInfo.clone();
+    timeInfo.trackIdField = trackRenderer.trackFieldName;
+    if (interval) timeInfo.interval = interval;
+    layer.timeInfo = timeInfo;
+    state.timeInfoKey = timeInfoKey;
+  }
+
+  layer.visible = true;
+  updateTrackInfo(mapView, trackRenderer, trackRenderer.trackInfo);
+  console.log("Applied track renderer:", trackRenderer.trackLayerName);
+}
+
+/**
+ * Assigns trackInfo JSON to the layer of an applied trackRenderer, rounding the
+ * observation count to whole observations. Only reassigns when the trackInfo changes,
+ * to avoid redrawing the tracks on every scroll update.
+ */
+export function updateTrackInfo(mapView, trackRenderer, trackInfo) {
+  const layer = resolveLayer(mapView, trackRenderer.trackLayerName);
+  const state = trackedLayers.get(layer);
+  if (!state) return;
+
+  const observations = trackInfo.maxDisplayObservationsPerTrack;
+  const rounded = typeof observations === "number"
+    ? { ...trackInfo, maxDisplayObservationsPerTrack: Math.max(1, Math.round(observations)) }
+    : trackInfo;
+  const key = JSON.stringify(rounded);
+  if (state.trackInfoKey === key) return;
+  layer.trackInfo = rounded;
+  state.trackInfoKey = key;
+}
+
+/**
+ * Restores the original timeInfo and trackInfo of every layer showing a track renderer,
+ * except the layer of the given trackRenderer, which is about to be applied again.
+ */
+export function restoreTrackRenderers(mapView, trackRenderer) {
+  generation++;
+  const keep = trackRenderer ? resolveLayer(mapView, trackRenderer.trackLayerName) : null;
+
+  trackedLayers.forEach(({ original }, layer) => {
+    if (layer === keep) return;
+    layer.timeInfo = original.timeInfo;
+    layer.trackInfo = original.trackInfo;
+    trackedLayers.delete(layer);
+    console.log(`Layer '${layer.title}' track renderer restored`);
+  });
+}
+
+function timeBlockInterval(timeBlock) {
+  if (!(timeBlock?.timeSliderStep > 0) || !timeBlock.timeSliderUnit) return null;
+  return { value: timeBlock.timeSliderStep, unit: timeBlock.timeSliderUnit };
+}
@@ -0,0 +1,56 @@
+import { choreographySchema } from "./choreographySchema.js";
+import { formatSchemaError, validateSchema } from "./validateSchema.js";
+
+/**
+ * Validates choreography data against choreographySchema.
+ * Returns a list of problems, each with the slide index (or null for
+ * root-level problems), the JSON path of the offending value and a message.
+ * An empty list means the choreography is valid.
+ */
+export function validateChoreography(data) {
+  return validateSchema(data, choreographySchema).map((error) => ({ ...error, slide: slideIndexFromPath(error.path) }));
+}
+
+/**
+ * Formats a validation problem as a single log line, e.g.
+ * "slide 2 at $[2].timeSlider.timeSliderstart: unknown property ...".
+ */
+export function formatValidationError({ slide, path, message }) {
+  return slide === null ? formatSchemaError({ path, message }) : `slide ${slide} at ${path}: ${message}`;
+}
+
+/**
+ * Returns a copy of the slides with every top-level slide key that has a
+ * validation error removed, so the remaining choreography can still play.
+ * Slides that are not objects are replaced by empty slides to keep indices
+ * aligned with the story.
+ */
+export function dropInvalidSlideKeys(slides, errors) {
+  const invalid = new Map();
+  errors.forEach(({ slide, path }) => {
+    if (slide === null) return;
+    const key = slideKeyFromPath(path);
+    if (!invalid.has(slide)) invalid.set(slide, new Set());
+    invalid.get(slide).add(key);
+  });
+
+  return slides.map((slide, index) => {
+    const keys = invalid.get(index);
+    if (!keys) return slide;
+    if (keys.has(null)) return {};
+    return Object.fromEntries(Object.entries(slide).filter(([key]) => !keys.has(key)));
+  });
+}
+
+// --- Helpers ---
+
+function slideIndexFromPath(path) {
+  const match = /^\$\[(\d+)\]/.exec(path);
+  return match ? Number(match[1]) : null;
+}
+
+// Returns the top-level slide key of a path, or null when the path points at the slide itself.
+function slideKeyFromPath(path) {
+  const match = /^\$\[\d+\]\.([^.[]+)/.exec(path);
+  return match ? match[1] : null;
+}
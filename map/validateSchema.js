@@ -0,0 +1,169 @@
+// Validator for the subset of JSON Schema the choreography, manifest header and
+// runtime configuration schemas use: type, enum, $ref, anyOf, required, properties,
+// additionalProperties, items, minItems/maxItems, numeric bounds, minLength, pattern
+// and the date-time format.
+
+/**
+ * Validates data against a schema. Returns a list of problems, each with the
+ * JSON path of the offending value (ex. "$.sidecars[0].nodeSelector") and a
+ * message. An empty list means the data is valid.
+ */
+export function validateSchema(data, schema) {
+  const errors = [];
+  validateNode(data, schema, "$", schema, errors);
+  return errors;
+}
+
+/**
+ * Formats a validation problem as a single log line, e.g.
+ * "$.mapFit: expected one of "scale", "extent", got "zoom"".
+ */
+export function formatSchemaError({ path, message }) {
+  return `${path}: ${message}`;
+}
+
+// --- Schema keywords ---
+
+function validateNode(value, schema, path, root, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref, root), path, root, errors);
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path, message: `expected ${[].concat(schema.type).join(" or ")}, got ${describeType(value)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `expected one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}, got ${JSON.stringify(value)}` });
+  }
+
+  if (typeof value === "number") validateNumber(value, schema, path, errors);
+  if (typeof value === "string") validateString(value, schema, path, errors);
+  if (Array.isArray(value)) validateArray(value, schema, path, root, errors);
+  else if (isObject(value)) validateObject(value, schema, path, root, errors);
+
+  if (schema.anyOf) {
+    const results = schema.anyOf.map((option) => {
+      const optionErrors = [];
+      validateNode(value, option, path, root, optionErrors);
+      return { option, optionErrors };
+    });
+    if (results.some(({ optionErrors }) => optionErrors.length === 0)) return;
+
+    // When only one shape has the value's type, its own errors are the most precise report
+    const typeOf = (option) => (option.$ref ? resolveRef(option.$ref, root) : option).type;
+    const sameType = results.filter(({ option }) => !typeOf(option) || matchesType(value, typeOf(option)));
+    if (sameType.length === 1 && typeOf(sameType[0].option)) errors.push(...sameType[0].optionErrors);
+    else errors.push({ path, message: describeAnyOf(schema.anyOf) });
+  }
+}
+
+function validateNumber(value, schema, path, errors) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `must be >= ${schema.minimum}, got ${value}` });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ path, message: `must be <= ${schema.maximum}, got ${value}` });
+  }
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    errors.push({ path, message: `must be > ${schema.exclusiveMinimum}, got ${value}` });
+  }
+  if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+    errors.push({ path, message: `must be < ${schema.exclusiveMaximum}, got ${value}` });
+  }
+}
+
+function validateString(value, schema, path, errors) {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, message: `must not be shorter than ${schema.minLength} character(s)` });
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path, message: `must match ${schema.pattern}, got ${JSON.stringify(value)}` });
+  }
+  if (schema.format === "date-time" && Number.isNaN(Date.parse(value))) {
+    errors.push({ path, message: `expected a date-time string, got ${JSON.stringify(value)}` });
+  }
+}
+
+function validateArray(value, schema, path, root, errors) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({ path, message: `must contain at least ${schema.minItems} item(s)` });
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push({ path, message: `must contain at most ${schema.maxItems} item(s)` });
+  }
+  if (schema.items) {
+    value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, root, errors));
+  }
+}
+
+function validateObject(value, schema, path, root, errors) {
+  const properties = schema.properties || {};
+
+  (schema.required || []).forEach((key) => {
+    if (!(key in value)) errors.push({ path, message: `missing required property '${key}'` });
+  });
+
+  Object.entries(value).forEach(([key, child]) => {
+    const childPath = `${path}.${key}`;
+    if (properties[key]) {
+      validateNode(child, properties[key], childPath, root, errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ path: childPath, message: describeUnknownProperty(key, properties) });
+    } else if (isObject(schema.additionalProperties)) {
+      validateNode(child, schema.additionalProperties, childPath, root, errors);
+    }
+  });
+}
+
+// --- Helpers ---
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith("#/")) throw new Error(`Unsupported schema reference: ${ref}`);
+  const target = ref
+    .slice(2)
+    .split("/")
+    .reduce((node, segment) => node?.[segment], root);
+  if (!target) throw new Error(`Unresolved schema reference: ${ref}`);
+  return target;
+}
+
+function matchesType(value, type) {
+  return [].concat(type).some((t) => {
+    switch (t) {
+      case "array": return Array.isArray(value);
+      case "object": return isObject(value);
+      case "integer": return Number.isInteger(value);
+      case "number": return typeof value === "number" && Number.isFinite(value);
+      case "null": return value === null;
+      default: return typeof value === t;
+    }
+  });
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function describeAnyOf(options) {
+  const required = options.map((option) => option.required).filter(Boolean);
+  if (required.length === options.length) {
+    return `must define at least one of ${required.map((keys) => `'${keys.join("' + '")}'`).join(", ")}`;
+  }
+  return "does not match any of the allowed shapes";
+}
+
+// Suggests the intended property for case typos such as 'timeSliderstart'.
+function describeUnknownProperty(key, properties) {
+  const suggestion = Object.keys(properties).find((known) => known.toLowerCase() === key.toLowerCase());
+  return suggestion
+    ? `unknown property '${key}' (did you mean '${suggestion}'?)`
+    : `unknown property '${key}'`;
+}
@@ -1,4 +1,12 @@
-// Defines the story node representing the sidecar block
+// Defines the story nodes representing the sidecar blocks. Each sidecar has its own
+// map iframe; `choreography` (optional) is the choreography file that map should load,
+// relative to the map page.
 export const nodeConfig = {
-    nodeSelector: '#n-d4nVFH',
-};
\ No newline at end of file
+    sidecars: [
+        { id: 'main', nodeSelector: '#n-d4nVFH', choreography: '../mapChoreography.json' },
+    ],
+    // Fraction of the viewport height (from the top) at which a narrative panel's progress is measured
+    progressAnchor: 0,
+    // Extra origins allowed to message this page (the page's own origin is always allowed)
+    allowedOrigins: [],
+};
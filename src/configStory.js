@@ -1,16 +1,5 @@
-function generateScriptConfig() {
-  window.storyMapsEmbedConfig = {
-      storyId: "7f3db979115448cba7bccbf744b43766",
-      rootNode: ".storymaps-root",
-  };
-}
-
-function createScriptedEmbed() {
-  const script = document.createElement('script');
-  script.id = 'embed-script';
-  script.src = `https://storymaps.arcgis.com/embed/view`;
-  document.body.appendChild(script);
-}
-
-generateScriptConfig();
-createScriptedEmbed();
\ No newline at end of file
+// Defines the story to embed and the element the story is embedded into.
+export const storyConfig = {
+    storyId: "7f3db979115448cba7bccbf744b43766",
+    rootNode: ".storymaps-root",
+};
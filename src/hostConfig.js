@@ -0,0 +1,65 @@
+import { nodeConfig } from './configNode.js';
+import { storyConfig } from './configStory.js';
+import { loadRuntimeConfig } from './runtimeConfig.js';
+import { headerToHostConfig, isManifest, readManifest } from '../map/manifest.js';
+
+// Runtime configuration of the story host page: the defaults of configStory.js and
+// configNode.js, overridden by a config JSON file (?config=) and the query parameters
+//   storyId       - the story to embed
+//   choreography  - the choreography file every sidecar's map loads
+// The config file may also be a story manifest: its `story` header configures the
+// host and the manifest itself becomes the choreography of every sidecar.
+
+const HOST_PARAMS = { storyId: 'storyId', choreography: 'choreography' };
+
+const sidecarSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['nodeSelector'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    nodeSelector: { type: 'string', minLength: 1 },
+    choreography: { type: 'string', minLength: 1 },
+    progressAnchor: { type: 'number', minimum: 0, maximum: 1 },
+  },
+};
+
+export const hostConfigSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    storyId: { type: 'string', pattern: '^[0-9a-f]{32}$' },
+    rootNode: { type: 'string', minLength: 1 },
+    nodeSelector: { type: 'string', minLength: 1 },
+    sidecars: { type: 'array', minItems: 1, items: sidecarSchema },
+    choreography: { type: 'string', minLength: 1 },
+    progressAnchor: { type: 'number', minimum: 0, maximum: 1 },
+    allowedOrigins: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+let configPromise = null;
+
+// Loads the host configuration once per page; later calls share the same result.
+// A top-level `choreography` replaces the choreography of every sidecar.
+// When the configuration cannot be loaded, the error is logged and the defaults are used.
+export function loadHostConfig() {
+  const defaults = { ...storyConfig, ...nodeConfig };
+  configPromise ??= loadRuntimeConfig(defaults, hostConfigSchema, HOST_PARAMS, fromConfigFile)
+    .then((config) => {
+      if (!config.choreography || !config.sidecars) return config;
+      return { ...config, sidecars: config.sidecars.map((sidecar) => ({ ...sidecar, choreography: config.choreography })) };
+    })
+    .catch((error) => {
+      console.error('Failed to load the host configuration; using the defaults:', error);
+      return defaults;
+    });
+  return configPromise;
+}
+
+// Reads a story manifest used as config file; other config files are used as they are
+function fromConfigFile(data, url) {
+  if (!isManifest(data)) return data;
+  // An absolute URL, since the map page resolves paths from its own location
+  return { ...headerToHostConfig(readManifest(data).header), choreography: url };
+}
@@ -0,0 +1,36 @@
+// Events the embedded maps report back to the story host page (see messageProtocol.js
+// for their payloads). Host-side code can subscribe to them, for example to show a
+// loading placeholder over a sidecar until its map is ready, log analytics or keep
+// UI outside the story in sync:
+//
+//   import { subscribe } from './src/mapEvents.js';
+//   const unsubscribe = subscribe('slideApplied', ({ sidecar, slide }) => { ... });
+//
+// Every event carries the id of the sidecar whose map sent it, next to the message payload.
+// Subscribing to '*' receives every event, with its `type`.
+
+// Event type → set of handlers
+const subscribers = new Map();
+
+// Subscribes a handler to one event type, or to every event with '*'.
+// Returns a function that removes the subscription.
+export function subscribe(type, handler) {
+  if (!subscribers.has(type)) subscribers.set(type, new Set());
+  subscribers.get(type).add(handler);
+  return () => subscribers.get(type).delete(handler);
+}
+
+// Calls the handlers subscribed to the event's type and to '*'.
+// A failing handler is logged and does not keep the others from running.
+export function publish(type, event) {
+  const detail = { type, ...event };
+  [type, '*'].forEach((key) => {
+    subscribers.get(key)?.forEach((handler) => {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`Map event handler for '${type}' failed:`, error);
+      }
+    });
+  });
+}
@@ -0,0 +1,127 @@
+// postMessage protocol between the story host page (scrollListener.js) and the
+// embedded map page (animateMap.js).
+//
+// Every message is an object of the form
+//   { source, version, type, sidecar, payload }
+// where `source` names the sender ("storymap-controller" for the host,
+// "storymap-map" for the map), `version` is PROTOCOL_VERSION and `sidecar`
+// is the id of the sidecar the message belongs to.
+//
+// Host → map
+//   hello     { choreography? }            Sent when the map iframe is found and each time it
+//                                          loads. Tells the map it is embedded in a story.
+//   progress  { slide: integer, progress: number (0–1) }
+//                                          Scroll position within the current slide's panel.
+//                                          Held back by the host until the map is ready; the
+//                                          latest one is then replayed.
+// Map → host
+//   ready     { slideCount: integer }      Sent once the map view and choreography are loaded,
+//                                          and again in answer to every hello after that.
+//   viewReady {}                           The map view has loaded (the choreography may not have).
+//   slideApplied { slide: integer }        The state of a slide has been set on the map.
+//   animationFinished { slide: integer }   The transitions started for a slide (camera, highlights,
+//                                          track renderer) have ended. Not sent for a slide that
+//                                          was left before they ended, or whose camera move was
+//                                          superseded (e.g. by scrolling) before it arrived.
+//   choreographyError { path, message, validationErrors? }
+//                                          A choreography file failed to load or validate.
+//                                          `validationErrors` lists { path, message }.
+//   featureClick { layer, layerId, objectId, attributes, mapPoint }
+//                                          The reader clicked a feature on the map.
+//
+// Receivers ignore messages from origins outside their allowed origins, from the
+// wrong source, or with a different protocol version.
+
+export const PROTOCOL_VERSION = 1;
+
+export const MESSAGE_SOURCES = {
+  host: "storymap-controller",
+  map: "storymap-map",
+};
+
+export const MESSAGE_TYPES = {
+  hello: "hello",
+  progress: "progress",
+  ready: "ready",
+  viewReady: "viewReady",
+  slideApplied: "slideApplied",
+  animationFinished: "animationFinished",
+  choreographyError: "choreographyError",
+  featureClick: "featureClick",
+};
+
+/**
+ * Builds a protocol message with numeric payload values normalized.
+ */
+export function createMessage(source, type, sidecar, payload = {}) {
+  return {
+    source,
+    version: PROTOCOL_VERSION,
+    type,
+    sidecar: sidecar ?? null,
+    payload: normalizePayload(type, payload),
+  };
+}
+
+/**
+ * Returns true when the origin is in the allowed origins list. The page's own
+ * origin is always allowed; "*" allows any origin.
+ */
+export function isOriginAllowed(origin, allowedOrigins = []) {
+  return origin === window.location.origin || allowedOrigins.includes("*") || allowedOrigins.includes(origin);
+}
+
+/**
+ * Validates a received message event. Returns the message when it comes from an
+ * allowed origin and the expected source, speaks this protocol version and has
+ * a known type; returns null otherwise.
+ */
+export function parseMessage(event, expectedSource, allowedOrigins) {
+  const message = event.data;
+  if (!message || typeof message !== "object" || message.source !== expectedSource) return null;
+
+  if (!isOriginAllowed(event.origin, allowedOrigins)) {
+    console.warn(`Ignoring ${message.type} message from disallowed origin ${event.origin}`);
+    return null;
+  }
+  if (message.version !== PROTOCOL_VERSION) {
+    console.warn(`Ignoring ${message.type} message with protocol version ${message.version}; expected ${PROTOCOL_VERSION}`);
+    return null;
+  }
+  if (!Object.values(MESSAGE_TYPES).includes(message.type)) {
+    console.warn(`Ignoring unknown message type '${message.type}'`);
+    return null;
+  }
+
+  return { ...message, payload: normalizePayload(message.type, message.payload || {}) };
+}
+
+/**
+ * Returns the origin to post to for a window loaded from the given URL, or the
+ * page's own origin when the URL cannot be parsed.
+ */
+export function targetOriginOf(url) {
+  try {
+    return new URL(url, window.location.href).origin;
+  } catch {
+    return window.location.origin;
+  }
+}
+
+// Coerces numeric fields so both sides always exchange numbers, never strings
+function normalizePayload(type, payload) {
+  if (type === MESSAGE_TYPES.progress) {
+    return {
+      ...payload,
+      slide: Math.trunc(Number(payload.slide)),
+      progress: Math.max(0, Math.min(1, Number(payload.progress) || 0)),
+    };
+  }
+  if (type === MESSAGE_TYPES.ready) {
+    return { ...payload, slideCount: Math.trunc(Number(payload.slideCount) || 0) };
+  }
+  if (type === MESSAGE_TYPES.slideApplied || type === MESSAGE_TYPES.animationFinished) {
+    return { ...payload, slide: Math.trunc(Number(payload.slide)) };
+  }
+  return payload;
+}
@@ -0,0 +1,81 @@
+import { formatSchemaError, validateSchema } from '../map/validateSchema.js';
+
+// Runtime configuration shared by the story host page and the map page, so one
+// hosted build can serve many stories, maps and choreographies.
+//
+// The compiled-in defaults (configNode.js, configStory.js, map/configAnimation.js)
+// are overridden, in order, by:
+//   1. a config JSON file named by the `config` query parameter (path or URL),
+//   2. individual query parameters, e.g. ?itemId=...&choreography=...
+// Top-level keys are merged shallowly. The result is validated against a schema;
+// an invalid or unknown key is reported and falls back to its default.
+
+// Loads the configuration from the current URL and merges it over the defaults.
+// `params` maps the accepted query parameter names to configuration keys;
+// parameter values are converted to the type the schema declares for their key.
+// `fromFile`, when given, converts the config file's data (and its URL) into configuration keys.
+export async function loadRuntimeConfig(defaults, schema, params = {}, fromFile) {
+  return mergeConfig(defaults, await loadRuntimeOverrides(schema, params, fromFile), schema);
+}
+
+// Reads the overrides of the config file and query parameters, without merging them,
+// for callers that combine them with defaults from elsewhere (e.g. a story manifest).
+export async function loadRuntimeOverrides(schema, params = {}, fromFile = (data) => data) {
+  const searchParams = new URLSearchParams(window.location.search);
+  const configPath = searchParams.get('config');
+  const fileData = await fetchConfigFile(configPath);
+  const fileConfig = fileData ? fromFile(fileData, new URL(configPath, window.location.href).href) : {};
+
+  const paramConfig = {};
+  Object.entries(params).forEach(([param, key]) => {
+    if (searchParams.has(param)) paramConfig[key] = parseParam(searchParams.get(param), schema.properties?.[key]);
+  });
+
+  return { ...fileConfig, ...paramConfig };
+}
+
+// Merges overrides over the defaults and validates the result
+export function mergeConfig(defaults, overrides, schema) {
+  return checkConfig({ ...defaults, ...overrides }, defaults, schema);
+}
+
+// Fetches the config JSON file, or returns null when none is named or it cannot be read
+async function fetchConfigFile(path) {
+  if (!path) return null;
+  try {
+    const response = await fetch(path);
+    if (!response.ok) throw new Error(`Failed to fetch config: ${response.status}`);
+    const data = await response.json();
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Config file must hold a JSON object');
+    return data;
+  } catch (error) {
+    console.error(`Ignoring config file '${path}':`, error);
+    return null;
+  }
+}
+
+// Converts a query parameter string to the schema type of its key
+function parseParam(value, propertySchema) {
+  const types = [].concat(propertySchema?.type ?? []);
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+  if ((types.includes('number') || types.includes('integer')) && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+// Reports every validation problem and restores the default of each invalid top-level key
+function checkConfig(config, defaults, schema) {
+  const errors = validateSchema(config, schema);
+  if (!errors.length) return config;
+
+  const checked = { ...config };
+  errors.forEach((error) => {
+    const key = error.path.match(/^\$\.([^.[]+)/)?.[1];
+    console.error('Invalid configuration:', formatSchemaError(error));
+    if (!key) return;
+    if (key in defaults) checked[key] = defaults[key];
+    else delete checked[key];
+  });
+  return checked;
+}
@@ -1,17 +1,12 @@
-import { nodeConfig } from './configNode.js';
+import { loadHostConfig } from './hostConfig.js';
 import { log } from './logger.js';
-// This sets shared state variables used across the scroll-driven story map
-let isDocked = false;
-let dockStartScroll = null;
-
-let lastScrollY = window.scrollY;
-let scrollDirection = "down"; // or 'up';
-let currentSlide = 0;
+import { publish } from './mapEvents.js';
+import { MESSAGE_SOURCES, MESSAGE_TYPES, createMessage, parseMessage, targetOriginOf } from './messageProtocol.js';
 
 log("Scroll listener initialized.");
 
 // --- Utility Functions ---
-// DOM readiness, panel height, scroll bounds...
+// DOM readiness, sidecar config, panel lookup, panel progress...
 
 // Polls the DOM every 100ms until an element matching the selector is found,
 // then clears the interval and executes the callback with the found element.
@@ -25,117 +20,132 @@ function waitForElement(selector, callback) {
   }, 100);
 }
 
-// Calculates the effective height of a narrative panel element,
-// adjusting for top margin if it's the first panel,
-// bottom padding if it's the last panel,
-// or both top and bottom margins for other panels.
-function getPanelHeight(panel) {
-  return panel.classList.contains("first")
-    ? panel.offsetHeight - parseFloat(getComputedStyle(panel).marginTop)
-    : panel.classList.contains("last")
-    ? panel.offsetHeight - parseFloat(getComputedStyle(panel).paddingBottom)
-    : panel.offsetHeight +
-      parseFloat(getComputedStyle(panel).marginBottom) +
-      parseFloat(getComputedStyle(panel).marginTop);
+// Returns the list of sidecar configs, accepting the legacy single `nodeSelector` config.
+// Each sidecar has an id (sent with every message), a node selector and optionally
+// the choreography file its map should load and its own progress anchor.
+function getSidecarConfigs(config) {
+  const sidecars = config.sidecars ?? [{ id: "default", nodeSelector: config.nodeSelector, choreography: config.choreography }];
+  return sidecars.map((sidecar, index) => ({
+    id: sidecar.id ?? `sidecar-${index}`,
+    nodeSelector: sidecar.nodeSelector,
+    choreography: sidecar.choreography,
+    // Narrative panels scroll past the docked map; a panel's progress runs from 0 when its
+    // top reaches this line to 1 when its bottom does (fraction of the viewport height from the top).
+    progressAnchor: sidecar.progressAnchor ?? config.progressAnchor ?? 0,
+  }));
 }
 
-// Computes the scroll boundaries for the current slide panel.
-// Accumulates the height of all previous panels to determine the start scroll position,
-// then adds the current panel's height to get the end scroll position.
-function getPanelScrollBounds(panels, currentSlide) {
-  let panelStartScroll = dockStartScroll;
-
-  for (let i = 0; i < currentSlide; i++) {
-    panelStartScroll += getPanelHeight(panels[i]);
-  }
+// Returns the narrative panels of the sidecar, in slide order.
+function getPanels(nodeSelector) {
+  return Array.from(document.querySelectorAll(`${nodeSelector} div.immersive-narrative-panel`));
+}
 
-  const panelHeight = getPanelHeight(panels[currentSlide]);
-  const panelEndScroll = panelStartScroll + panelHeight;
+// Calculates the scroll progress of a single panel as a normalized value between 0 and 1,
+// from its current position on screen. Each panel is measured on its own, so the result
+// does not depend on where tracking started or on the size of the panels above it.
+function getPanelProgress(panel, progressAnchor) {
+  const rect = panel.getBoundingClientRect();
+  if (rect.height <= 0) return 0;
+  const anchorY = window.innerHeight * progressAnchor;
+  const progress = (anchorY - rect.top) / rect.height;
+  return Math.max(0, Math.min(1, progress));
+}
 
-  return { panelStartScroll, panelEndScroll };
+// Reads the slide number from the URL fragment (after '#') of the iframe's 'src'.
+function getSlideFromIframe(iframe) {
+  const src = iframe.getAttribute("src") || "";
+  const parts = src.split("#");
+  const slideNumber = parseInt(parts.length > 1 ? parts.pop() : "0", 10);
+  return isNaN(slideNumber) ? 0 : slideNumber;
 }
 
-// Calculates the scroll progress of the current panel as a normalized value between 0 and 1.
-// Uses the panel's scroll bounds to determine how far the user has scrolled within it.
-function getPanelProgress(panels, currentSlide, scrollY) {
-  const { panelStartScroll, panelEndScroll } = getPanelScrollBounds(
-    panels,
-    currentSlide
+// Posts a protocol message to the sidecar's map iframe, tagged with the sidecar id
+// so maps can ignore messages meant for other sidecars. Messages only go to the
+// iframe's own origin.
+function postToMap(sidecar, iframe, type, payload) {
+  if (!iframe || !iframe.contentWindow) return;
+  iframe.contentWindow.postMessage(
+    createMessage(MESSAGE_SOURCES.host, type, sidecar.id, payload),
+    targetOriginOf(iframe.src)
   );
-  let progress =
-    (scrollY - panelStartScroll) / (panelEndScroll - panelStartScroll);
-  return Math.max(0, Math.min(1, progress));
+}
+
+// Sends the handshake hello to the sidecar's map. The map answers with ready
+// once its view and choreography are loaded.
+function sendHello(sidecar, iframe) {
+  sidecar.ready = false;
+  postToMap(sidecar, iframe, MESSAGE_TYPES.hello, { choreography: sidecar.choreography });
 }
 
 // --- Observers ---
 
 // Sets up a MutationObserver to track changes to the iframe's 'src' attribute.
 // When the 'src' updates, it parses the URL fragment (after '#') to extract the slide number,
-// and updates the global `currentSlide` accordingly.
-const createIframeSrcObserver = (iframe) => {
+// and updates the sidecar's `currentSlide` accordingly.
+const createIframeSrcObserver = (sidecar, iframe) => {
   return new MutationObserver((mutations) => {
-    const newSrc = iframe.getAttribute("src") || "";
-    const parts = newSrc.split("#");
-    const slideNumber = parseInt(parts.length > 1 ? parts.pop() : "0", 10);
-    currentSlide = isNaN(slideNumber) ? 0 : slideNumber;
-    log("Updated current slide:", currentSlide);
+    sidecar.currentSlide = getSlideFromIframe(iframe);
+    log(`[${sidecar.id}] Updated current slide:`, sidecar.currentSlide);
   });
 };
 
-// Initializes a MutationObserver to monitor docking state changes on a target element.
-// When the element becomes docked (via 'docked' class), it records the scroll position
-// to begin tracking scroll progress. Undocks reset the tracking state.
-function setupDockingObserver(nodeSelector) {
-  const targetSelectorDocked = `${nodeSelector} > div > div[class*='jsx-'][class*='container'][class*='main']`;
-
-  waitForElement(targetSelectorDocked, (target) => {
-    const observer = new MutationObserver(() => {
-      const currentlyDocked = target.classList.contains("docked");
-
-      if (currentlyDocked && !isDocked) {
-        isDocked = true;
-        const currentScroll = window.scrollY;
-        log(currentScroll, scrollDirection);
-
-        if (scrollDirection === "down") {
-          dockStartScroll = currentScroll;
-        }
-
-        log("Docked: Starting scroll tracking at", dockStartScroll);
-      }
-
-      if (!currentlyDocked && isDocked) {
-        isDocked = false;
-      }
+// Tracks which narrative panels are on screen with an IntersectionObserver, and
+// re-sends progress when any panel changes size (images loading, fonts swapping,
+// viewport resizes) via a ResizeObserver. Panels (re)rendered later by the story
+// are picked up by watching the sidecar for DOM changes.
+function setupPanelObserver(sidecar, onChange) {
+  const observedPanels = new WeakSet();
+
+  const intersectionObserver = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      if (entry.isIntersecting) sidecar.visiblePanels.add(entry.target);
+      else sidecar.visiblePanels.delete(entry.target);
+    });
+    onChange();
+  });
+  const resizeObserver = new ResizeObserver(() => onChange());
+
+  const observeNewPanels = () => {
+    getPanels(sidecar.nodeSelector).forEach((panel) => {
+      if (observedPanels.has(panel)) return;
+      observedPanels.add(panel);
+      intersectionObserver.observe(panel);
+      resizeObserver.observe(panel);
+    });
+    // Forget panels the story has removed from the DOM
+    sidecar.visiblePanels.forEach((panel) => {
+      if (!panel.isConnected) sidecar.visiblePanels.delete(panel);
     });
+  };
 
-    observer.observe(target, { attributes: true, attributeFilter: ["class"] });
-    log("Docking observer attached.");
+  waitForElement(sidecar.nodeSelector, (root) => {
+    observeNewPanels();
+    new MutationObserver(observeNewPanels).observe(root, { childList: true, subtree: true });
+    log(`[${sidecar.id}] Panel observer attached.`);
   });
 }
 
 // Continuously monitors a DOM node for the (re)insertion of an iframe.
-// Once detected, it initializes the iframe by sending a postMessage,
-// resets the current slide to 0, and attaches a MutationObserver to track 'src' changes.
-function watchForIframeForever(nodeSelector) {
+// Once detected, it initializes the iframe by sending a postMessage (including the
+// sidecar's choreography, if configured), resets the current slide to 0,
+// and attaches a MutationObserver to track 'src' changes.
+function watchForIframeForever(sidecar) {
+  const { nodeSelector } = sidecar;
   const iframeSelector = `${nodeSelector} iframe`;
   waitForElement(nodeSelector, (root) => {
     const observer = new MutationObserver(() => {
       const iframe = root.querySelector(iframeSelector);
       if (iframe && !iframe.dataset.observed) {
-        log(`Frame (re)found under ${nodeSelector}, attaching observer.`);
+        log(`[${sidecar.id}] Frame (re)found under ${nodeSelector}, attaching observer.`);
         iframe.dataset.observed = "true";
-        currentSlide = 0;
+        sidecar.currentSlide = 0;
+        sidecar.iframe = iframe;
 
-        iframe.contentWindow.postMessage(
-          {
-            source: "storymap-controller",
-            payload: { isEmbedded: true },
-          },
-          "*"
-        );
+        // Say hello now and again after every (re)load of the map page
+        sendHello(sidecar, iframe);
+        iframe.addEventListener("load", () => sendHello(sidecar, iframe));
 
-        const srcObserver = createIframeSrcObserver(iframe);
+        const srcObserver = createIframeSrcObserver(sidecar, iframe);
         srcObserver.observe(iframe, {
           attributes: true,
           attributeFilter: ["src"],
@@ -145,73 +155,97 @@ function watchForIframeForever(nodeSelector) {
     });
 
     observer.observe(root, { childList: true, subtree: true });
-    log(`Watching ${nodeSelector} for iframe (re)insertion.`);
+    log(`[${sidecar.id}] Watching ${nodeSelector} for iframe (re)insertion.`);
   });
 }
 
 // --- Scroll tracking ---
 
-// Attaches a scroll listener to track the user's scroll position and direction.
-// When the target element is docked, it calculates the scroll progress of the current slide panel,
-// logs the progress, and sends it to the embedded iframe via postMessage for synchronization.
-function setupScrollListener(nodeSelector) {
-  const iframeSelector = `${nodeSelector} iframe`;
+// Computes the progress of the sidecar's current slide panel and sends it to its
+// embedded iframe via postMessage. Does nothing while none of its panels are on screen.
+function sendProgress(sidecar) {
+  if (sidecar.visiblePanels.size === 0) return;
 
-  window.addEventListener("scroll", () => {
-    const currentScroll = window.scrollY;
-    scrollDirection =
-      currentScroll > lastScrollY
-        ? "down"
-        : currentScroll < lastScrollY
-        ? "up"
-        : scrollDirection;
-    lastScrollY = currentScroll;
-
-    if (!isDocked || dockStartScroll === null) return;
-
-    const panels = document.querySelectorAll("div.immersive-narrative-panel");
-    if (currentSlide < panels.length) {
-      // Fallback: Check iframe src directly to update currentSlide
-      const iframe = document.querySelector(iframeSelector);
-      if (iframe) {
-        const iframeSrc = iframe.getAttribute("src") || "";
-        const parts = iframeSrc.split("#");
-        const slideNumber = parseInt(parts.length > 1 ? parts.pop() : "0", 10);
-        const detectedSlide = isNaN(slideNumber) ? 0 : slideNumber;
-        if (detectedSlide !== currentSlide) {
-          currentSlide = detectedSlide;
-        }
-      }
-      
-      const progress = getPanelProgress(panels, currentSlide, currentScroll);
-      log("Scroll: [slide", currentSlide, "], [progress:", progress .toFixed(2) + "]")
-      if (iframe && iframe.contentWindow) {
-        iframe.contentWindow.postMessage(
-          {
-            source: "storymap-controller",
-            payload: {
-              type: "progress",
-              slide: currentSlide, 
-              progress: progress.toFixed(2),
-              isEmbedded: true
-            },
-          },
-          "*"
-        );
+  const iframe = document.querySelector(`${sidecar.nodeSelector} iframe`);
+  // Fallback: Check iframe src directly to update currentSlide
+  if (iframe) sidecar.currentSlide = getSlideFromIframe(iframe);
+
+  const panel = getPanels(sidecar.nodeSelector)[sidecar.currentSlide];
+  if (!panel) return;
+
+  const progress = getPanelProgress(panel, sidecar.progressAnchor);
+  log(`[${sidecar.id}] Scroll: [slide`, sidecar.currentSlide, "], [progress:", progress.toFixed(2) + "]");
+  const payload = { slide: sidecar.currentSlide, progress };
+
+  // Hold the latest progress until the map is ready; it is replayed on ready
+  if (!sidecar.ready) {
+    sidecar.pendingProgress = payload;
+    return;
+  }
+  postToMap(sidecar, iframe, MESSAGE_TYPES.progress, payload);
+}
+
+// Sends progress updates on scroll, on resize and once web fonts have loaded,
+// since all of them can move the panels on screen.
+function setupScrollListener(sidecar) {
+  const update = () => sendProgress(sidecar);
+  window.addEventListener("scroll", update, { passive: true });
+  window.addEventListener("resize", update);
+  document.fonts?.ready.then(update);
+  return update;
+}
+
+// Listens for messages from the sidecars' maps and publishes each one to the
+// subscribers of mapEvents.js. A sidecar is matched by the window the message came
+// from, so maps that have not yet learned their sidecar id are matched too.
+// On ready, the latest progress held back for that map is sent.
+function setupMapListener(sidecars, allowedOrigins) {
+  window.addEventListener("message", (event) => {
+    const message = parseMessage(event, MESSAGE_SOURCES.map, allowedOrigins);
+    if (!message) return;
+
+    const sidecar = sidecars.find((s) => s.iframe && s.iframe.contentWindow === event.source);
+    if (!sidecar) return;
+
+    if (message.type === MESSAGE_TYPES.ready) {
+      sidecar.ready = true;
+      log(`[${sidecar.id}] Map ready with ${message.payload.slideCount} slides.`);
+      if (sidecar.pendingProgress) {
+        postToMap(sidecar, sidecar.iframe, MESSAGE_TYPES.progress, sidecar.pendingProgress);
+        sidecar.pendingProgress = null;
       }
     }
+
+    publish(message.type, { ...message.payload, sidecar: sidecar.id });
   });
 }
 
 // --- Initialization ---
 
-// Initializes the full scroll tracking system for a story map.
-// Sets up observers for docking state, iframe (re)insertion and src changes,
-// and attaches a scroll listener to track slide progress and sync it with the embedded iframe.
-async function createStoryScrollListener(nodeSelector) {
-  setupDockingObserver(nodeSelector);
-  watchForIframeForever(nodeSelector);
-  setupScrollListener(nodeSelector);
+// Initializes the full scroll tracking system for one sidecar of a story map, with its
+// own slide and panel state. Sets up observers for panel visibility and size, iframe
+// (re)insertion and src changes, and attaches a scroll listener to track slide progress
+// and sync it with the sidecar's embedded iframe.
+function createStoryScrollListener(sidecarConfig) {
+  const sidecar = {
+    ...sidecarConfig,
+    currentSlide: 0,
+    visiblePanels: new Set(),
+    iframe: null,
+    ready: false,
+    pendingProgress: null,
+  };
+  const update = setupScrollListener(sidecar);
+  setupPanelObserver(sidecar, update);
+  watchForIframeForever(sidecar);
+  return sidecar;
 }
 
-createStoryScrollListener(nodeConfig.nodeSelector)
\ No newline at end of file
+// Starts tracking once the runtime configuration (defaults, config file, URL parameters) is loaded
+loadHostConfig()
+  .then((config) => {
+    setupMapListener(getSidecarConfigs(config).map(createStoryScrollListener), config.allowedOrigins);
+  })
+  .catch((error) => {
+    console.error('Failed to start the scroll listener:', error);
+  });
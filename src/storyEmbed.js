@@ -0,0 +1,25 @@
+import { loadHostConfig } from './hostConfig.js';
+
+function generateScriptConfig(config) {
+  window.storyMapsEmbedConfig = {
+      storyId: config.storyId,
+      rootNode: config.rootNode,
+  };
+}
+
+function createScriptedEmbed() {
+  const script = document.createElement('script');
+  script.id = 'embed-script';
+  script.src = `https://storymaps.arcgis.com/embed/view`;
+  document.body.appendChild(script);
+}
+
+// Embeds the story named by the runtime configuration
+loadHostConfig()
+  .then((config) => {
+    generateScriptConfig(config);
+    createScriptedEmbed();
+  })
+  .catch((error) => {
+    console.error('Failed to embed the story:', error);
+  });